@@ -0,0 +1,339 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { imageKey } from './image-identity.js';
+
+// Change detection between two runs over the same product. Before anything
+// is downloaded, files of images that are gone are moved to archive/<time>/
+// and files of images that moved to another index are renamed, so the
+// downloader's exists-by-name check only ever reuses the same picture.
+// Afterwards the previous and new manifests are compared by image key and
+// content hash into a diff report.
+
+const ARCHIVE_DIR = 'archive';
+const CHANGES_FILE = 'changes.jsonl';
+const REPORTS_DIR = 'reports';
+
+// Product fields whose changes are reported
+const TRACKED_FIELDS = ['title', 'priceTiers', 'moq', 'unit', 'attributes'];
+
+// ISO time usable as a folder name
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Saved images take the extension of their detected type, so planned paths
+// (guessed from the URL) and existing files are matched without it
+function withoutExtension(filePath) {
+  return filePath.slice(0, filePath.length - path.extname(filePath).length);
+}
+
+function sameList(a = [], b = []) {
+  return a.length === b.length && a.every((value, index) => value === b[index]);
+}
+
+class ChangeTracker {
+  /**
+   * @param {string} productDir - Product folder of the current run
+   * @param {object|null} previous - Manifest of the previous run, from readManifest()
+   * @param {string} scrapedAt - Time of the current run; names the archive folder
+   */
+  constructor(productDir, previous, scrapedAt = new Date().toISOString()) {
+    this.productDir = productDir;
+    this.previous = previous;
+    this.archiveDir = path.join(productDir, ARCHIVE_DIR, timestamp(new Date(scrapedAt)));
+    // { path, archivedPath, url, sha256 } for single images,
+    // { path, archivedPath, urls } for whole folders
+    this.archived = [];
+    this.folders = {};
+  }
+
+  // Move a file or folder into the archive, keeping its path below the product folder
+  async archive(relativePath, info = {}) {
+    const source = path.join(this.productDir, relativePath);
+    if (!relativePath || !await fs.pathExists(source)) return;
+    const target = path.join(this.archiveDir, relativePath);
+    await fs.move(source, target, { overwrite: true });
+    this.archived.push({ path: relativePath, archivedPath: path.relative(this.productDir, target), ...info });
+  }
+
+  /**
+   * Prepare the product folder for the images about to be downloaded.
+   * `planned` is [{ url, path }] with paths relative to the product folder.
+   * Files of images that are gone are archived; files of images that are
+   * still there under another name are renamed to it.
+   */
+  async prepareImages(planned) {
+    if (!this.previous) return;
+
+    const wanted = new Map();
+    for (const entry of planned) {
+      if (!wanted.has(imageKey(entry.url))) wanted.set(imageKey(entry.url), withoutExtension(entry.path));
+    }
+
+    const kept = new Map(); // target path without extension -> previous image
+    const moves = [];
+    for (const image of this.previous.images || []) {
+      const key = imageKey(image.url);
+      const stem = wanted.get(key);
+      if (stem === undefined || kept.has(stem)) {
+        await this.archive(image.path, { url: image.url, sha256: image.sha256 });
+        continue;
+      }
+      kept.set(stem, image);
+      const target = `${stem}${path.extname(image.path)}`;
+      if (target !== image.path && await fs.pathExists(path.join(this.productDir, image.path))) {
+        moves.push({ from: image.path, to: target });
+      }
+    }
+
+    // Two steps, so images that swapped places do not overwrite each other
+    for (const move of moves) {
+      await fs.move(path.join(this.productDir, move.from), path.join(this.productDir, `${move.to}.moving`), { overwrite: true });
+    }
+    for (const move of moves) {
+      await fs.move(path.join(this.productDir, `${move.to}.moving`), path.join(this.productDir, move.to), { overwrite: true });
+    }
+
+    // Partial downloads left by the previous run (<path>.<rendition>.part)
+    // may belong to a picture that is now at another index; never resume them
+    for (const entry of planned) {
+      const dir = path.join(this.productDir, path.dirname(entry.path));
+      const prefix = `${path.basename(entry.path)}.`;
+      for (const name of await fs.readdir(dir).catch(() => [])) {
+        if (name.startsWith(prefix) && name.endsWith('.part')) await fs.remove(path.join(dir, name));
+      }
+    }
+  }
+
+  // Archive the file of a kept image whose content changed, before the
+  // downloader replaces it
+  async replaceImage(filePath, url) {
+    const before = (this.previous.images || []).find(image => imageKey(image.url) === imageKey(url));
+    await this.archive(path.relative(this.productDir, filePath), { url, sha256: before ? before.sha256 : null, replaced: true });
+  }
+
+  /**
+   * Description and variant folders are compared as a whole: when their
+   * image list changed, the old folder is archived and downloaded afresh.
+   * Resolves to true when the folder was archived.
+   */
+  async prepareFolder(relativeDir, previousUrls, urls) {
+    this.folders[relativeDir] = { previous: previousUrls || [], current: urls || [] };
+    if (!this.previous || sameList(previousUrls || [], urls || [])) return false;
+    await this.archive(relativeDir, { urls: previousUrls || [] });
+    return true;
+  }
+
+  // When the description went away, its HTML and Markdown go to the archive too
+  async prepareDescription(images, present) {
+    const before = this.previous && this.previous.description;
+    await this.prepareFolder('description', before ? before.images : [], images);
+    if (before && !present) {
+      await this.archive(before.html);
+      await this.archive(before.markdown);
+    }
+  }
+
+  // `variants` as [{ label, images }] with the image URLs that will be
+  // downloaded; `dirFor(label)` gives the variant folder
+  async prepareVariants(variants, dirFor) {
+    if (!this.previous) return;
+    const previousVariants = new Map((this.previous.variants || []).map(variant => [variant.label, variant]));
+    for (const variant of variants) {
+      const before = previousVariants.get(variant.label);
+      await this.prepareFolder(dirFor(variant.label), before ? before.images : [], variant.images);
+      previousVariants.delete(variant.label);
+    }
+    for (const gone of previousVariants.values()) {
+      await this.archive(dirFor(gone.label), { urls: gone.images });
+    }
+  }
+
+  /**
+   * Compare the new manifest with the previous one and append the diff to
+   * changes.jsonl when anything changed. An "added" image with the same
+   * content as an archived one is the same picture under a new URL: it counts
+   * as unchanged and its archived copy is dropped.
+   */
+  async diff(manifest) {
+    const previous = this.previous;
+    const report = {
+      productId: manifest.productId,
+      productUrl: manifest.productUrl,
+      scrapedAt: manifest.scrapedAt,
+      previousScrapedAt: previous ? previous.scrapedAt : null,
+      firstRun: !previous,
+      changed: false,
+      images: { added: [], removed: [], moved: [], changed: [], unchanged: 0 },
+      description: null,
+      variants: { added: [], removed: [], changed: [] },
+      videos: { added: [], removed: [] },
+      product: [],
+      archiveDir: null,
+    };
+    if (!previous) return report;
+
+    // Gallery images, by key, then by content
+    const previousByKey = new Map((previous.images || []).map(image => [imageKey(image.url), image]));
+    const archivedByHash = new Map(this.archived.filter(entry => entry.sha256).map(entry => [entry.sha256, entry]));
+    const currentKeys = new Set();
+    for (const image of manifest.images) {
+      const key = imageKey(image.url);
+      currentKeys.add(key);
+      const before = previousByKey.get(key);
+      if (before) {
+        if (before.sha256 && image.sha256 && before.sha256 !== image.sha256) {
+          const archived = this.archived.find(entry => entry.replaced && imageKey(entry.url) === key);
+          report.images.changed.push({
+            url: image.url,
+            index: image.index,
+            path: image.path,
+            archivedPath: archived ? archived.archivedPath : null,
+          });
+        } else if (before.index !== image.index) {
+          report.images.moved.push({ url: image.url, from: before.index, to: image.index, path: image.path });
+        } else {
+          report.images.unchanged++;
+        }
+        continue;
+      }
+
+      const same = image.sha256 && archivedByHash.get(image.sha256);
+      if (same) {
+        archivedByHash.delete(image.sha256);
+        same.duplicate = true;
+        await fs.remove(path.join(this.productDir, same.archivedPath));
+        report.images.unchanged++;
+        continue;
+      }
+      report.images.added.push({ url: image.url, index: image.index, path: image.path });
+    }
+    for (const image of previous.images || []) {
+      if (currentKeys.has(imageKey(image.url))) continue;
+      const archived = this.archived.find(entry => entry.url === image.url);
+      if (archived && archived.duplicate) continue;
+      report.images.removed.push({
+        url: image.url,
+        index: image.index,
+        archivedPath: archived ? archived.archivedPath : null,
+      });
+    }
+
+    // Description images
+    const description = this.folders.description;
+    if (description && !sameList(description.previous, description.current)) {
+      report.description = {
+        added: description.current.filter(url => !description.previous.includes(url)).length,
+        removed: description.previous.filter(url => !description.current.includes(url)).length,
+      };
+    }
+
+    // Variants, by label
+    const previousVariants = new Map((previous.variants || []).map(variant => [variant.label, variant]));
+    for (const variant of manifest.variants) {
+      const before = previousVariants.get(variant.label);
+      if (!before) report.variants.added.push(variant.label);
+      else if (!sameList(before.images, variant.images)) report.variants.changed.push(variant.label);
+      previousVariants.delete(variant.label);
+    }
+    report.variants.removed = Array.from(previousVariants.keys());
+
+    // Videos, by URL
+    const previousVideos = new Set((previous.videos || []).map(video => video.url));
+    const currentVideos = new Set(manifest.videos.map(video => video.url));
+    report.videos.added = Array.from(currentVideos).filter(url => !previousVideos.has(url));
+    report.videos.removed = Array.from(previousVideos).filter(url => !currentVideos.has(url));
+
+    // Listing text
+    if (previous.product && manifest.product) {
+      for (const field of TRACKED_FIELDS) {
+        const before = previous.product[field] ?? null;
+        const after = manifest.product[field] ?? null;
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+          report.product.push({ field, from: before, to: after });
+        }
+      }
+    }
+
+    const { images, variants, videos } = report;
+    report.changed = images.added.length > 0 || images.removed.length > 0 || images.moved.length > 0 ||
+      images.changed.length > 0 || report.description !== null ||
+      variants.added.length > 0 || variants.removed.length > 0 || variants.changed.length > 0 ||
+      videos.added.length > 0 || videos.removed.length > 0 || report.product.length > 0;
+
+    // Nothing left in the archive when every "removed" image turned up again
+    if (this.archived.some(entry => !entry.duplicate)) {
+      report.archiveDir = path.relative(this.productDir, this.archiveDir);
+    } else {
+      await fs.remove(this.archiveDir);
+    }
+
+    if (report.changed) {
+      await fs.appendFile(path.join(this.productDir, CHANGES_FILE), `${JSON.stringify(report)}\n`);
+    }
+    return report;
+  }
+}
+
+// One-line count of what changed, for logs and the batch report
+function summarizeChanges(report) {
+  return {
+    imagesAdded: report.images.added.length,
+    imagesRemoved: report.images.removed.length,
+    imagesMoved: report.images.moved.length,
+    imagesChanged: report.images.changed.length,
+    description: report.description !== null,
+    variants: report.variants.added.length + report.variants.removed.length + report.variants.changed.length,
+    videos: report.videos.added.length + report.videos.removed.length,
+    fields: report.product.map(change => change.field),
+  };
+}
+
+// Page a successful result was scraped from; its diff carries the manifest's
+function productUrl(result) {
+  return result.url || result.changes.productUrl || null;
+}
+
+/**
+ * Write the report of one incremental batch to reports/changes-<time>.json
+ * in the download folder: which products changed, which were seen for the
+ * first time and which failed.
+ */
+async function writeChangeReport(downloadDir, results, startedAt) {
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    total: results.length,
+    changed: [],
+    new: [],
+    unchanged: 0,
+    failed: [],
+  };
+
+  for (const result of results) {
+    if (!result.success) {
+      report.failed.push({ url: result.url, reason: result.reason || 'error', error: result.error || null });
+    } else if (!result.changes || result.skipped) {
+      report.unchanged++;
+    } else if (result.changes.firstRun) {
+      report.new.push({ url: productUrl(result), productId: result.productId, productName: result.productName });
+    } else if (result.changes.changed) {
+      report.changed.push({
+        url: productUrl(result),
+        productId: result.productId,
+        productName: result.productName,
+        summary: summarizeChanges(result.changes),
+        changes: result.changes,
+      });
+    } else {
+      report.unchanged++;
+    }
+  }
+
+  const reportPath = path.join(downloadDir, REPORTS_DIR, `changes-${timestamp(new Date(startedAt))}.json`);
+  await fs.ensureDir(path.dirname(reportPath));
+  await fs.writeJson(reportPath, report, { spaces: 2 });
+  return { path: reportPath, report };
+}
+
+export { ChangeTracker, summarizeChanges, writeChangeReport, ARCHIVE_DIR, CHANGES_FILE };
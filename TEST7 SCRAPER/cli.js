@@ -0,0 +1,1107 @@
+#!/usr/bin/env node
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { createRequire } from 'module';
+import { AlibabaImageScraper, config as defaultConfig, logger } from './scraper.js';
+import { ROLES } from './image-roles.js';
+import { parseProxy, loadProxyEntries } from './proxy-pool.js';
+import { JobStore, JOB_FILE } from './job-store.js';
+import { writeChangeReport } from './changes.js';
+import { OUTPUT_FORMATS } from './post-process.js';
+import { ScrapeServer } from './server.js';
+import { writeExports, EXPORT_FORMATS } from './export.js';
+import { LOG_LEVELS, LOG_FORMATS } from './logger.js';
+import { NETWORK_MODES } from './recording.js';
+import { ImageRules, validateImageRules } from './image-rules.js';
+import { alibabaAdapter, getAdapter, getAdapterByName, adapterNames } from './site-adapters.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'config.json');
+
+// Thrown for bad flags, unreadable files and invalid option values.
+// run() turns these into a short message and exit code 2.
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Options that may be set from config.json, environment variables or flags
+const OPTION_TYPES = {
+  headless: 'boolean',
+  timeout: 'integer',
+  retryAttempts: 'integer',
+  retryDelay: 'integer',
+  scrollDelay: 'integer',
+  minHumanDelay: 'integer',
+  maxHumanDelay: 'integer',
+  downloadDir: 'path',
+  logFile: 'path',
+  logLevel: 'enum',
+  logFileLevel: 'enum',
+  logFormat: 'enum',
+  logMaxSize: 'byteSize',
+  logMaxFiles: 'integer',
+  logRotateDaily: 'boolean',
+  proxy: 'url',
+  proxyUsername: 'string',
+  proxyPassword: 'string',
+  proxies: 'proxyList',
+  proxyFile: 'path',
+  proxyRotation: 'enum',
+  proxyMaxFailures: 'integer',
+  proxyCooldown: 'integer',
+  proxyHealthCheck: 'boolean',
+  proxyCheckUrl: 'url',
+  concurrency: 'integer',
+  downloadConcurrency: 'integer',
+  downloadVia: 'enum',
+  minImageWidth: 'integer',
+  minImageHeight: 'integer',
+  dedupeImages: 'boolean',
+  perceptualDedupe: 'boolean',
+  perceptualThreshold: 'integer',
+  postProcess: 'boolean',
+  outputFormat: 'enum',
+  outputQuality: 'integer',
+  maxImageWidth: 'integer',
+  maxImageHeight: 'integer',
+  thumbnailSizes: 'sizeList',
+  stripMetadata: 'boolean',
+  trimBorders: 'boolean',
+  skuImages: 'boolean',
+  skuClickThrough: 'boolean',
+  downloadVideos: 'boolean',
+  imageRoles: 'list',
+  imageRules: 'imageRules',
+  maxImages: 'integer',
+  explainImages: 'boolean',
+  extractDescription: 'boolean',
+  jobFile: 'path',
+  jobMaxAttempts: 'integer',
+  incremental: 'boolean',
+  watchInterval: 'duration',
+  discoverMaxPages: 'integer',
+  discoverMaxProducts: 'integer',
+  discoverMatch: 'regex',
+  discoverExclude: 'regex',
+  serveHost: 'string',
+  servePort: 'integer',
+  serveToken: 'string',
+  exportFormats: 'list',
+  exportDir: 'path',
+  imageBaseUrl: 'url',
+  debugArtifacts: 'boolean',
+  debugTrace: 'boolean',
+  debugDir: 'path',
+  networkMode: 'enum',
+  recordingsDir: 'path',
+};
+
+// Units accepted by 'duration' options, e.g. "90s", "30m", "6h", "7d"
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Units accepted by 'byteSize' options, e.g. "512kb", "10mb"
+const BYTE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// Allowed values for 'enum' options and items of 'list' options
+const ENUM_VALUES = {
+  downloadVia: ['http', 'browser'],
+  proxyRotation: ['failure', 'product'],
+  outputFormat: OUTPUT_FORMATS,
+  logLevel: LOG_LEVELS,
+  logFileLevel: LOG_LEVELS,
+  logFormat: LOG_FORMATS,
+  networkMode: NETWORK_MODES,
+  imageRoles: ROLES,
+  exportFormats: EXPORT_FORMATS,
+};
+
+const ENV_VARS = {
+  SCRAPER_HEADLESS: 'headless',
+  SCRAPER_TIMEOUT: 'timeout',
+  SCRAPER_RETRY_ATTEMPTS: 'retryAttempts',
+  SCRAPER_DOWNLOAD_DIR: 'downloadDir',
+  SCRAPER_LOG_FILE: 'logFile',
+  SCRAPER_LOG_LEVEL: 'logLevel',
+  SCRAPER_LOG_FILE_LEVEL: 'logFileLevel',
+  SCRAPER_LOG_FORMAT: 'logFormat',
+  SCRAPER_LOG_MAX_SIZE: 'logMaxSize',
+  SCRAPER_LOG_MAX_FILES: 'logMaxFiles',
+  SCRAPER_LOG_ROTATE_DAILY: 'logRotateDaily',
+  SCRAPER_CONCURRENCY: 'concurrency',
+  SCRAPER_DOWNLOAD_CONCURRENCY: 'downloadConcurrency',
+  SCRAPER_DOWNLOAD_VIA: 'downloadVia',
+  SCRAPER_IMAGE_ROLES: 'imageRoles',
+  SCRAPER_IMAGE_RULES: 'imageRules',
+  SCRAPER_MAX_IMAGES: 'maxImages',
+  SCRAPER_EXPLAIN_IMAGES: 'explainImages',
+  SCRAPER_MIN_IMAGE_WIDTH: 'minImageWidth',
+  SCRAPER_MIN_IMAGE_HEIGHT: 'minImageHeight',
+  SCRAPER_PERCEPTUAL_DEDUPE: 'perceptualDedupe',
+  SCRAPER_POST_PROCESS: 'postProcess',
+  SCRAPER_OUTPUT_FORMAT: 'outputFormat',
+  SCRAPER_THUMBNAIL_SIZES: 'thumbnailSizes',
+  PROXY_URL: 'proxy',
+  PROXY_USERNAME: 'proxyUsername',
+  PROXY_PASSWORD: 'proxyPassword',
+  PROXY_LIST: 'proxies',
+  PROXY_FILE: 'proxyFile',
+  SCRAPER_PROXY_ROTATION: 'proxyRotation',
+  SCRAPER_JOB_FILE: 'jobFile',
+  SCRAPER_INCREMENTAL: 'incremental',
+  SCRAPER_WATCH_INTERVAL: 'watchInterval',
+  SCRAPER_SERVE_HOST: 'serveHost',
+  SCRAPER_SERVE_PORT: 'servePort',
+  SCRAPER_SERVE_TOKEN: 'serveToken',
+  SCRAPER_EXPORT_FORMATS: 'exportFormats',
+  SCRAPER_EXPORT_DIR: 'exportDir',
+  SCRAPER_IMAGE_BASE_URL: 'imageBaseUrl',
+  SCRAPER_DEBUG_ARTIFACTS: 'debugArtifacts',
+  SCRAPER_DEBUG_TRACE: 'debugTrace',
+  SCRAPER_DEBUG_DIR: 'debugDir',
+  SCRAPER_NETWORK_MODE: 'networkMode',
+  SCRAPER_RECORDINGS_DIR: 'recordingsDir',
+};
+
+const CLI_OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  'urls-file': { type: 'string', short: 'f', multiple: true },
+  headless: { type: 'boolean' },
+  headed: { type: 'boolean' },
+  out: { type: 'string', short: 'o' },
+  'log-level': { type: 'string' },
+  'log-file': { type: 'string' },
+  proxy: { type: 'string' },
+  'proxy-username': { type: 'string' },
+  'proxy-password': { type: 'string' },
+  'proxy-file': { type: 'string' },
+  'proxy-rotation': { type: 'string' },
+  timeout: { type: 'string' },
+  retries: { type: 'string' },
+  concurrency: { type: 'string', short: 'j' },
+  'download-concurrency': { type: 'string' },
+  'download-via': { type: 'string' },
+  roles: { type: 'string' },
+  'max-images': { type: 'string' },
+  explain: { type: 'boolean' },
+  site: { type: 'string' },
+  'min-width': { type: 'string' },
+  'min-height': { type: 'string' },
+  'no-dedupe': { type: 'boolean' },
+  'perceptual-dedupe': { type: 'boolean' },
+  'post-process': { type: 'boolean' },
+  format: { type: 'string' },
+  quality: { type: 'string' },
+  'max-width': { type: 'string' },
+  'max-height': { type: 'string' },
+  thumbnails: { type: 'string' },
+  'keep-metadata': { type: 'boolean' },
+  trim: { type: 'boolean' },
+  'job-file': { type: 'string' },
+  fresh: { type: 'boolean' },
+  'retry-failed': { type: 'boolean' },
+  json: { type: 'boolean' },
+  incremental: { type: 'boolean' },
+  interval: { type: 'string' },
+  'max-pages': { type: 'string' },
+  'max-products': { type: 'string' },
+  match: { type: 'string' },
+  exclude: { type: 'string' },
+  'urls-out': { type: 'string' },
+  'list-only': { type: 'boolean' },
+  host: { type: 'string' },
+  port: { type: 'string' },
+  export: { type: 'string' },
+  'export-dir': { type: 'string' },
+  'image-base-url': { type: 'string' },
+  'debug-artifacts': { type: 'boolean' },
+  'debug-trace': { type: 'boolean' },
+  record: { type: 'boolean' },
+  replay: { type: 'boolean' },
+  recordings: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const COMMANDS = ['scrape', 'status', 'watch', 'discover', 'serve', 'export', 'explain'];
+
+const USAGE = `Usage: scrape [command] [options] [url...]
+
+Commands:
+  scrape [url...]            Scrape product pages (default command)
+  status                     Show the progress recorded in the job file
+  watch [url...]             Re-scrape the URLs incrementally on an interval
+                             and report listing changes
+  discover [url...]          Collect products from search, category or
+                             storefront pages and scrape them
+  serve                      Run the HTTP API for submitting and following
+                             scrape jobs
+  export [url...]            Write feeds of the products in the job file
+                             (all of them, or the URLs given)
+  explain <image-url...>     Show which image URLs the image rules keep and why
+
+Options:
+  -c, --config <path>        Config file (default: config.json next to scraper.js)
+  -f, --urls-file <path>     File with one product URL per line (repeatable)
+  -o, --out <dir>            Download directory
+      --log-level <level>    Console log level: ${LOG_LEVELS.join(', ')} (default: info)
+      --log-file <path>      Log file, JSON lines (default: scraper.log next to scraper.js)
+      --headless             Run the browser headless
+      --headed               Run the browser with a visible window
+      --proxy <url>          Proxy server, e.g. http://host:8080
+      --proxy-username <u>   Proxy username
+      --proxy-password <p>   Proxy password
+      --proxy-file <path>    File with one proxy per line (host:port,
+                             user:pass@host:port or host:port:user:pass)
+      --proxy-rotation <mode>
+                             failure (keep a proxy until it is blocked or times
+                             out) or product (new proxy per product) (default: failure)
+      --timeout <ms>         Page navigation timeout
+      --retries <n>          Retry attempts per product
+  -j, --concurrency <n>      Products scraped in parallel (default: 1)
+      --download-concurrency <n>
+                             Images downloaded in parallel per product (default: 4)
+      --download-via <mode>  http (axios through the proxy) or browser (reuse the
+                             browser session's cookies and proxy) (default: http)
+      --roles <list>         Image roles to download, comma-separated
+                             (${ROLES.join(', ')})
+      --max-images <n>       Images kept per product, best scoring first
+                             (default: no limit)
+      --explain              Write why each image was kept or dropped to
+                             <out>/<productId>/image-rules.json
+      --site <name|url>      explain: site whose image rules apply, by adapter
+                             name or product URL (default: alibaba)
+      --min-width <px>       Reject downloaded images narrower than this (default: 100)
+      --min-height <px>      Reject downloaded images lower than this (default: 100)
+      --no-dedupe            Keep images with the same content as another one
+      --perceptual-dedupe    Also remove re-encoded copies of the same photo,
+                             keeping the largest (needs the sharp package)
+      --post-process         Write converted copies to processed/ and thumbnails
+                             to thumbnails/<size>/ (needs the sharp package)
+      --format <format>      post-process: ${OUTPUT_FORMATS.join(', ')} (default: jpeg)
+      --quality <n>          post-process: JPEG/WebP/AVIF quality 1-100 (default: 85)
+      --max-width <px>       post-process: cap the width (default: no limit)
+      --max-height <px>      post-process: cap the height (default: no limit)
+      --thumbnails <sizes>   post-process: thumbnail sizes, e.g. 200,400
+      --keep-metadata        post-process: keep EXIF/ICC/XMP data
+      --trim                 post-process: cut uniform borders
+      --job-file <path>      Batch progress journal (default: <out>/${JOB_FILE})
+      --fresh                Scrape every URL again, ignoring earlier runs
+      --retry-failed         Also retry products that failed permanently or
+                             used up their attempts
+      --json                 status: print the jobs as JSON
+      --incremental          Download only new images, archive removed ones and
+                             report what changed since the last run
+      --interval <time>      watch: time between runs, e.g. 30m, 6h, 7d
+                             (default: 24h)
+      --max-pages <n>        discover: listing pages per URL (default: 10)
+      --max-products <n>     discover: products in total (default: no limit)
+      --match <regex>        discover: keep products whose title or URL matches
+      --exclude <regex>      discover: drop products whose title or URL matches
+      --urls-out <path>      discover: save the product URLs (usable with -f)
+      --list-only            discover: only list the products, do not scrape
+      --host <address>       serve: interface to listen on (default: 127.0.0.1)
+      --port <n>             serve: port to listen on (default: 8080)
+      --export <formats>     Write batch feeds after scraping, comma-separated
+                             (${EXPORT_FORMATS.join(', ')}; export command default: csv)
+      --export-dir <dir>     Folder for the feeds (default: <out>/exports)
+      --image-base-url <url> URL the download folder is published at; feeds link
+                             images below it instead of the marketplace CDN
+      --debug-artifacts      Save a screenshot, the DOM and the responses of
+                             failed attempts to <out>/debug/<productId>/<time>/
+      --debug-trace          Also save a Playwright trace (implies --debug-artifacts)
+      --record               Save each product's network session for replay
+      --replay               Scrape from saved sessions, without network access
+      --recordings <dir>     Folder of the sessions (default: recordings/ next to scraper.js)
+  -h, --help                 Show this help
+
+Precedence: command-line flags > environment variables > config file > defaults.
+Environment: ${Object.keys(ENV_VARS).join(', ')}`;
+
+function coerceOption(key, value, source) {
+  const type = OPTION_TYPES[key];
+  const fail = (expected) => {
+    throw new ConfigError(`Invalid value for "${key}" from ${source}: expected ${expected}, got ${JSON.stringify(value)}`);
+  };
+
+  switch (type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'string') {
+        const normalized = value.trim().toLowerCase();
+        if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+        if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+      }
+      return fail('a boolean');
+    case 'integer': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(number) || number < 0) return fail('a non-negative integer');
+      return number;
+    }
+    case 'url': {
+      if (typeof value !== 'string' || !value.trim()) return fail('a URL');
+      try {
+        new URL(value);
+      } catch (error) {
+        return fail('a URL such as http://host:8080');
+      }
+      return value.trim();
+    }
+    case 'enum':
+      if (!ENUM_VALUES[key].includes(value)) return fail(`one of ${ENUM_VALUES[key].join(', ')}`);
+      return value;
+    case 'list': {
+      // JSON arrays in config.json, comma-separated strings elsewhere
+      const items = Array.isArray(value)
+        ? value
+        : typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+      if (!items || items.length === 0) return fail(`a list of ${ENUM_VALUES[key].join(', ')}`);
+      const unknown = items.filter(item => !ENUM_VALUES[key].includes(item));
+      if (unknown.length > 0) return fail(`only ${ENUM_VALUES[key].join(', ')}`);
+      return items;
+    }
+    case 'sizeList': {
+      // Pixel sizes: JSON array in config.json, comma-separated elsewhere
+      const items = Array.isArray(value)
+        ? value
+        : typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean).map(Number) : null;
+      if (!items || !items.every(item => Number.isInteger(item) && item > 0)) return fail('a list of sizes in pixels such as 200,400');
+      return items;
+    }
+    case 'proxyList': {
+      // JSON array in config.json, comma- or whitespace-separated elsewhere
+      const items = Array.isArray(value)
+        ? value
+        : typeof value === 'string' ? value.split(/[\s,]+/).filter(Boolean) : null;
+      if (!items) return fail('a list of proxies');
+      for (const item of items) {
+        try {
+          parseProxy(item);
+        } catch (error) {
+          throw new ConfigError(`Invalid value for "${key}" from ${source}: ${error.message}`);
+        }
+      }
+      return items;
+    }
+    case 'duration': {
+      if (Number.isInteger(value) && value > 0) return value;
+      const match = typeof value === 'string' ? /^(\d+)\s*(ms|s|m|h|d)?$/.exec(value.trim()) : null;
+      if (!match || Number(match[1]) === 0) return fail('a duration such as 30m, 6h or 7d');
+      return Number(match[1]) * DURATION_UNITS[match[2] || 'ms'];
+    }
+    case 'byteSize': {
+      if (Number.isInteger(value) && value >= 0) return value;
+      const match = typeof value === 'string' ? /^(\d+)\s*(b|kb|mb|gb)?$/i.exec(value.trim()) : null;
+      if (!match) return fail('a size such as 512kb or 10mb');
+      return Number(match[1]) * BYTE_UNITS[(match[2] || 'b').toLowerCase()];
+    }
+    case 'regex':
+      if (typeof value !== 'string' || !value.trim()) return fail('a regular expression');
+      try {
+        new RegExp(value, 'i');
+      } catch (error) {
+        throw new ConfigError(`Invalid value for "${key}" from ${source}: ${error.message}`);
+      }
+      return value;
+    case 'imageRules': {
+      // JSON object in config.json, JSON text elsewhere
+      let rules = value;
+      if (typeof value === 'string') {
+        try {
+          rules = JSON.parse(value);
+        } catch (error) {
+          return fail('image rules as a JSON object');
+        }
+      }
+      try {
+        return validateImageRules(rules);
+      } catch (error) {
+        throw new ConfigError(`Invalid value for "${key}" from ${source}: ${error.message}`);
+      }
+    }
+    case 'path':
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) return fail('a non-empty string');
+      return value.trim();
+    default:
+      throw new ConfigError(`Unknown option "${key}" from ${source}`);
+  }
+}
+
+function readConfigFile(configPath, required) {
+  if (!fs.existsSync(configPath)) {
+    if (required) throw new ConfigError(`Config file not found: ${configPath}`);
+    return {};
+  }
+
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Could not parse config file ${configPath}: ${error.message}`);
+  }
+  if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+    throw new ConfigError(`Config file ${configPath} must contain a JSON object`);
+  }
+
+  const source = path.basename(configPath);
+  const options = {};
+  const baseDir = path.dirname(configPath);
+
+  for (const [key, value] of Object.entries(fileConfig)) {
+    if (value === null || value === undefined || key === 'productUrls') continue;
+
+    // config.json groups proxy settings: { server, username, password }
+    if (key === 'proxy' && typeof value === 'object') {
+      if (value.server) options.proxy = coerceOption('proxy', value.server, `${source} proxy.server`);
+      if (value.username) options.proxyUsername = coerceOption('proxyUsername', value.username, `${source} proxy.username`);
+      if (value.password) options.proxyPassword = coerceOption('proxyPassword', value.password, `${source} proxy.password`);
+      continue;
+    }
+
+    if (!(key in OPTION_TYPES)) {
+      throw new ConfigError(`Unknown option "${key}" in ${configPath}`);
+    }
+    options[key] = coerceOption(key, value, source);
+    if (OPTION_TYPES[key] === 'path') {
+      // Relative paths in the config file are relative to the file itself
+      options[key] = path.resolve(baseDir, options[key]);
+    }
+  }
+
+  const productUrls = fileConfig.productUrls || [];
+  if (!Array.isArray(productUrls)) {
+    throw new ConfigError(`"productUrls" in ${configPath} must be an array of URLs`);
+  }
+
+  return { options, productUrls: productUrls.map(url => validateUrl(url, `${source} productUrls`)) };
+}
+
+function readEnv(env) {
+  const options = {};
+  for (const [name, key] of Object.entries(ENV_VARS)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    options[key] = coerceOption(key, env[name], `$${name}`);
+    if (OPTION_TYPES[key] === 'path') options[key] = path.resolve(options[key]);
+  }
+  return options;
+}
+
+function readFlags(values) {
+  const options = {};
+  if (values.headless && values.headed) {
+    throw new ConfigError('--headless and --headed cannot be used together');
+  }
+  if (values.headless) options.headless = true;
+  if (values.headed) options.headless = false;
+  if (values.out !== undefined) options.downloadDir = path.resolve(coerceOption('downloadDir', values.out, '--out'));
+  if (values['log-level'] !== undefined) options.logLevel = coerceOption('logLevel', values['log-level'], '--log-level');
+  if (values['log-file'] !== undefined) options.logFile = path.resolve(coerceOption('logFile', values['log-file'], '--log-file'));
+  if (values.proxy !== undefined) options.proxy = coerceOption('proxy', values.proxy, '--proxy');
+  if (values['proxy-username'] !== undefined) options.proxyUsername = coerceOption('proxyUsername', values['proxy-username'], '--proxy-username');
+  if (values['proxy-password'] !== undefined) options.proxyPassword = coerceOption('proxyPassword', values['proxy-password'], '--proxy-password');
+  if (values['proxy-file'] !== undefined) options.proxyFile = path.resolve(coerceOption('proxyFile', values['proxy-file'], '--proxy-file'));
+  if (values['proxy-rotation'] !== undefined) options.proxyRotation = coerceOption('proxyRotation', values['proxy-rotation'], '--proxy-rotation');
+  if (values.timeout !== undefined) options.timeout = coerceOption('timeout', values.timeout, '--timeout');
+  if (values.retries !== undefined) options.retryAttempts = coerceOption('retryAttempts', values.retries, '--retries');
+  if (values.concurrency !== undefined) options.concurrency = coerceOption('concurrency', values.concurrency, '--concurrency');
+  if (values['download-concurrency'] !== undefined) options.downloadConcurrency = coerceOption('downloadConcurrency', values['download-concurrency'], '--download-concurrency');
+  if (values['download-via'] !== undefined) options.downloadVia = coerceOption('downloadVia', values['download-via'], '--download-via');
+  if (values.roles !== undefined) options.imageRoles = coerceOption('imageRoles', values.roles, '--roles');
+  if (values['max-images'] !== undefined) options.maxImages = coerceOption('maxImages', values['max-images'], '--max-images');
+  if (values.explain) options.explainImages = true;
+  if (values['min-width'] !== undefined) options.minImageWidth = coerceOption('minImageWidth', values['min-width'], '--min-width');
+  if (values['min-height'] !== undefined) options.minImageHeight = coerceOption('minImageHeight', values['min-height'], '--min-height');
+  if (values['no-dedupe']) options.dedupeImages = false;
+  if (values['perceptual-dedupe']) options.perceptualDedupe = true;
+  if (values['post-process']) options.postProcess = true;
+  if (values.format !== undefined) options.outputFormat = coerceOption('outputFormat', values.format, '--format');
+  if (values.quality !== undefined) options.outputQuality = coerceOption('outputQuality', values.quality, '--quality');
+  if (values['max-width'] !== undefined) options.maxImageWidth = coerceOption('maxImageWidth', values['max-width'], '--max-width');
+  if (values['max-height'] !== undefined) options.maxImageHeight = coerceOption('maxImageHeight', values['max-height'], '--max-height');
+  if (values.thumbnails !== undefined) options.thumbnailSizes = coerceOption('thumbnailSizes', values.thumbnails, '--thumbnails');
+  if (values['keep-metadata']) options.stripMetadata = false;
+  if (values.trim) options.trimBorders = true;
+  if (values.incremental) options.incremental = true;
+  if (values.interval !== undefined) options.watchInterval = coerceOption('watchInterval', values.interval, '--interval');
+  if (values['max-pages'] !== undefined) options.discoverMaxPages = coerceOption('discoverMaxPages', values['max-pages'], '--max-pages');
+  if (values['max-products'] !== undefined) options.discoverMaxProducts = coerceOption('discoverMaxProducts', values['max-products'], '--max-products');
+  if (values.match !== undefined) options.discoverMatch = coerceOption('discoverMatch', values.match, '--match');
+  if (values.exclude !== undefined) options.discoverExclude = coerceOption('discoverExclude', values.exclude, '--exclude');
+  if (values.host !== undefined) options.serveHost = coerceOption('serveHost', values.host, '--host');
+  if (values.port !== undefined) options.servePort = coerceOption('servePort', values.port, '--port');
+  if (values.export !== undefined) options.exportFormats = coerceOption('exportFormats', values.export, '--export');
+  if (values['export-dir'] !== undefined) options.exportDir = path.resolve(coerceOption('exportDir', values['export-dir'], '--export-dir'));
+  if (values['image-base-url'] !== undefined) options.imageBaseUrl = coerceOption('imageBaseUrl', values['image-base-url'], '--image-base-url');
+  if (values['debug-artifacts']) options.debugArtifacts = true;
+  if (values['debug-trace']) {
+    options.debugArtifacts = true;
+    options.debugTrace = true;
+  }
+  if (values.record && values.replay) {
+    throw new ConfigError('--record and --replay cannot be used together');
+  }
+  if (values.record) options.networkMode = 'record';
+  if (values.replay) options.networkMode = 'replay';
+  if (values.recordings !== undefined) options.recordingsDir = path.resolve(coerceOption('recordingsDir', values.recordings, '--recordings'));
+  if (values['job-file'] !== undefined) options.jobFile = path.resolve(coerceOption('jobFile', values['job-file'], '--job-file'));
+  return options;
+}
+
+function validateUrl(value, source) {
+  let url;
+  try {
+    url = new URL(String(value).trim());
+  } catch (error) {
+    throw new ConfigError(`Invalid product URL from ${source}: ${JSON.stringify(value)}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ConfigError(`Product URL from ${source} must be http(s): ${JSON.stringify(value)}`);
+  }
+  return url.href;
+}
+
+function readUrlsFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigError(`URLs file not found: ${filePath}`);
+  }
+
+  const urls = [];
+  fs.readFileSync(filePath, 'utf8').split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    urls.push(validateUrl(trimmed, `${path.basename(filePath)}:${index + 1}`));
+  });
+  return urls;
+}
+
+// Whether the optional image library is installed
+function hasSharp() {
+  try {
+    createRequire(import.meta.url).resolve('sharp');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateOptions(options) {
+  if (options.minHumanDelay > options.maxHumanDelay) {
+    throw new ConfigError(`minHumanDelay (${options.minHumanDelay}) must not be greater than maxHumanDelay (${options.maxHumanDelay})`);
+  }
+  for (const key of ['concurrency', 'downloadConcurrency', 'proxyMaxFailures', 'jobMaxAttempts', 'discoverMaxPages']) {
+    if (options[key] < 1) {
+      throw new ConfigError(`${key} must be at least 1`);
+    }
+  }
+  if (options.perceptualThreshold > 64) {
+    throw new ConfigError(`perceptualThreshold (${options.perceptualThreshold}) must be at most 64, the bits in a perceptual hash`);
+  }
+  if (options.perceptualDedupe && !options.dedupeImages) {
+    throw new ConfigError('perceptualDedupe needs dedupeImages');
+  }
+  if (options.debugTrace && !options.debugArtifacts) {
+    throw new ConfigError('debugTrace needs debugArtifacts');
+  }
+  if (options.servePort > 65535) {
+    throw new ConfigError(`servePort (${options.servePort}) must be at most 65535`);
+  }
+  if (options.outputQuality < 1 || options.outputQuality > 100) {
+    throw new ConfigError(`outputQuality (${options.outputQuality}) must be between 1 and 100`);
+  }
+  for (const key of ['perceptualDedupe', 'postProcess']) {
+    if (options[key] && !hasSharp()) {
+      throw new ConfigError(`${key} needs the optional "sharp" package: npm install sharp`);
+    }
+  }
+  let proxies;
+  try {
+    proxies = loadProxyEntries(options);
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+  if ((options.proxyUsername || options.proxyPassword) && proxies.length === 0) {
+    throw new ConfigError('Proxy credentials were given without a proxy server');
+  }
+}
+
+/**
+ * Parse command-line arguments and merge them with environment variables,
+ * the config file and the built-in defaults.
+ *
+ * @param {string[]} argv - Arguments without the node executable and script
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {{ command: string, help: boolean, fresh: boolean, retryFailed: boolean, json: boolean,
+ *   listOnly: boolean, urlsOut: string|null, site: string|null, urls: string[], options: object }}
+ */
+function loadConfig(argv, env = process.env) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: CLI_OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  let command = 'scrape';
+  if (positionals.length > 0 && COMMANDS.includes(positionals[0])) {
+    command = positionals.shift();
+  }
+
+  const configPath = values.config ? path.resolve(values.config) : DEFAULT_CONFIG_FILE;
+  const fileConfig = readConfigFile(configPath, Boolean(values.config));
+
+  const options = {
+    ...defaultConfig,
+    ...fileConfig.options,
+    ...readEnv(env),
+    ...readFlags(values),
+  };
+  validateOptions(options);
+
+  let urls = positionals.map(url => validateUrl(url, 'command line'));
+  for (const file of values['urls-file'] || []) {
+    urls.push(...readUrlsFile(path.resolve(file)));
+  }
+  // explain takes image URLs, not products
+  if (urls.length === 0 && command !== 'explain') {
+    urls = fileConfig.productUrls || [];
+  }
+
+  return {
+    command,
+    help: Boolean(values.help),
+    fresh: Boolean(values.fresh),
+    retryFailed: Boolean(values['retry-failed']),
+    json: Boolean(values.json),
+    listOnly: Boolean(values['list-only']),
+    urlsOut: values['urls-out'] ? path.resolve(values['urls-out']) : null,
+    site: values.site || null,
+    urls: Array.from(new Set(urls)),
+    options,
+  };
+}
+
+async function promptForUrl() {
+  const readline = await import('readline');
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  const url = await new Promise(resolve => {
+    rl.question('Enter Alibaba product URL: ', resolve);
+  });
+  rl.close();
+
+  return url.trim() ? [validateUrl(url, 'prompt')] : [];
+}
+
+function jobFilePath(options) {
+  return options.jobFile || path.join(options.downloadDir, JOB_FILE);
+}
+
+// Open the batch journal, locked against a second run on the same file
+function openJobStore(options, { fresh, retryFailed }, urls) {
+  const jobs = new JobStore(jobFilePath(options), { maxAttempts: options.jobMaxAttempts, retryFailed });
+  try {
+    jobs.open();
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+  if (fresh) jobs.reset(urls.filter(url => jobs.get(url)));
+  return jobs;
+}
+
+// Write the batch feeds and log where they went
+async function exportResults(results, options, startedAt) {
+  const written = await writeExports(results, {
+    formats: options.exportFormats,
+    downloadDir: options.downloadDir,
+    exportDir: options.exportDir,
+    imageBaseUrl: options.imageBaseUrl,
+    startedAt,
+  });
+  for (const feed of written) {
+    logger.info(`Exported ${feed.format} feed`, { products: feed.products, path: feed.path });
+  }
+}
+
+// Scrape `urls` with an initialized scraper, journaling progress to the job
+// file, and log the summary. Resolves to the exit code.
+async function scrapeBatch(scraper, urls, options, flags) {
+  const startedAt = new Date().toISOString();
+  const jobs = openJobStore(options, flags, urls);
+  try {
+    const results = await scraper.scrapeMultipleProducts(urls, { jobs });
+    const successful = results.filter(r => r.success).length;
+    const skipped = results.filter(r => r.skipped).length;
+    // Failures by reason, e.g. { captcha: 2, 'not-found': 1 }
+    const failures = {};
+    for (const result of results.filter(r => !r.success)) {
+      const reason = result.reason || 'error';
+      failures[reason] = (failures[reason] || 0) + 1;
+    }
+    logger.info('All scraping complete', {
+      total: results.length,
+      successful,
+      skipped,
+      failures,
+      downloadDir: options.downloadDir,
+      jobFile: jobs.filePath,
+    });
+
+    if (options.incremental) {
+      const { path: reportPath, report } = await writeChangeReport(options.downloadDir, results, startedAt);
+      logger.info('Change report written', {
+        changed: report.changed.length,
+        new: report.new.length,
+        unchanged: report.unchanged,
+        failed: report.failed.length,
+        report: reportPath,
+      });
+      for (const product of report.changed) {
+        logger.success(`Changed: ${product.productName || product.url}`, { url: product.url, ...product.summary });
+      }
+    }
+
+    if (options.exportFormats.length > 0) {
+      await exportResults(results, options, startedAt);
+    }
+
+    return successful === results.length ? 0 : 1;
+  } finally {
+    jobs.close();
+  }
+}
+
+async function runScrape(urls, options, flags = {}) {
+  if (urls.length === 0) {
+    // Interactive mode only makes sense on a terminal; batch jobs should fail loudly
+    if (!process.stdin.isTTY) {
+      throw new ConfigError('No product URLs given. Pass URLs as arguments, use --urls-file, or set productUrls in config.json');
+    }
+    urls = await promptForUrl();
+    if (urls.length === 0) return 0;
+  }
+
+  const scraper = new AlibabaImageScraper(options);
+  try {
+    await scraper.initialize();
+    return await scrapeBatch(scraper, urls, options, flags);
+  } finally {
+    await scraper.close();
+  }
+}
+
+// Collect product URLs from listing pages and scrape them in the same browser
+// session; with --list-only the products are only listed
+async function runDiscover(listingUrls, options, flags) {
+  if (listingUrls.length === 0) {
+    throw new ConfigError('discover needs search, category or storefront URLs. Pass them as arguments or use --urls-file');
+  }
+
+  const scraper = new AlibabaImageScraper(options);
+  try {
+    await scraper.initialize();
+    const products = await scraper.discoverProducts(listingUrls);
+    const urls = products.map(product => product.url);
+
+    if (flags.urlsOut) {
+      // The title as a comment above each URL, for reviewing the list by hand
+      const lines = products.map(product => `${product.title ? `# ${product.title}\n` : ''}${product.url}`);
+      await fs.outputFile(flags.urlsOut, `${lines.join('\n')}\n`);
+      logger.info(`Wrote ${urls.length} product URLs`, { path: flags.urlsOut });
+    }
+    if (flags.listOnly) {
+      if (!flags.urlsOut) console.log(urls.join('\n'));
+      return urls.length > 0 ? 0 : 1;
+    }
+    if (urls.length === 0) {
+      logger.warning('No products discovered', { listings: listingUrls });
+      return 1;
+    }
+
+    return await scrapeBatch(scraper, urls, options, flags);
+  } finally {
+    await scraper.close();
+  }
+}
+
+// Run the batch incrementally every `watchInterval` ms until interrupted.
+// Every run starts the batch afresh; the first Ctrl+C lets the current run
+// finish, a second one exits at once (the job file keeps the progress).
+async function runWatch(urls, options, flags) {
+  if (urls.length === 0) {
+    throw new ConfigError('watch needs product URLs. Pass URLs as arguments, use --urls-file, or set productUrls in config.json');
+  }
+
+  let stopping = false;
+  let wake = null;
+  const stop = () => {
+    if (stopping) process.exit(130);
+    stopping = true;
+    logger.info('Stopping after the current run (press Ctrl+C again to exit now)');
+    if (wake) wake();
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+
+  let exitCode = 0;
+  try {
+    for (let cycle = 1; !stopping; cycle++) {
+      logger.info(`Watch run ${cycle}`, { products: urls.length });
+      try {
+        exitCode = await runScrape(urls, { ...options, incremental: true }, { ...flags, fresh: true });
+      } catch (error) {
+        // A run that could not start (browser, network) is tried again next time
+        if (error instanceof ConfigError) throw error;
+        logger.error('Watch run failed', { error: error.message, stack: error.stack });
+        exitCode = 1;
+      }
+      if (stopping) break;
+
+      logger.info(`Next run at ${new Date(Date.now() + options.watchInterval).toISOString()}`);
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, options.watchInterval);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wake = null;
+    }
+  } finally {
+    process.off('SIGINT', stop);
+    process.off('SIGTERM', stop);
+  }
+  return exitCode;
+}
+
+// Options a job submitted to the API sets for itself, checked like config values
+function parseJobOptions(options) {
+  const parsed = {};
+  for (const [key, value] of Object.entries(options)) {
+    parsed[key] = coerceOption(key, value, 'job options');
+  }
+  if (parsed.concurrency !== undefined && parsed.concurrency < 1) {
+    throw new ConfigError('concurrency must be at least 1');
+  }
+  return parsed;
+}
+
+// Run the HTTP API until SIGINT/SIGTERM; jobs in progress are cancelled and
+// their current products finish before the browser closes
+async function runServe(options) {
+  const scraper = new AlibabaImageScraper(options);
+  const server = new ScrapeServer(scraper, {
+    host: options.serveHost,
+    port: options.servePort,
+    token: options.serveToken,
+    parseOptions: parseJobOptions,
+    logger,
+  });
+
+  try {
+    await scraper.initialize();
+    let address;
+    try {
+      address = await server.start();
+    } catch (error) {
+      throw new ConfigError(`Cannot listen on ${options.serveHost}:${options.servePort}: ${error.message}`);
+    }
+    logger.info(`API listening on ${address}`, { token: Boolean(options.serveToken), downloadDir: options.downloadDir });
+    if (!options.serveToken && !['127.0.0.1', 'localhost', '::1'].includes(options.serveHost)) {
+      logger.warning('The API is reachable from the network without a token; set serveToken or SCRAPER_SERVE_TOKEN');
+    }
+
+    await new Promise((resolve) => {
+      process.once('SIGINT', resolve);
+      process.once('SIGTERM', resolve);
+    });
+    logger.info('Shutting down: cancelling jobs and finishing the products in progress');
+    await server.stop();
+  } finally {
+    await scraper.close();
+  }
+  return 0;
+}
+
+// Write feeds from the results recorded in the job file, without scraping.
+// Products that have not finished yet are left out.
+async function runExport(urls, options) {
+  const jobs = new JobStore(jobFilePath(options), { maxAttempts: options.jobMaxAttempts }).load();
+  const finished = Array.from(jobs.jobs.values())
+    .filter(job => job.status === 'done' || job.status === 'failed')
+    .filter(job => urls.length === 0 || urls.includes(job.url));
+  if (finished.length === 0) {
+    logger.warning('No finished products to export', { jobFile: jobs.filePath });
+    return 1;
+  }
+
+  // Same shape as the results of a batch
+  const results = finished.map(job => ({
+    success: job.status === 'done',
+    url: job.url,
+    reason: job.reason,
+    error: job.lastError,
+    ...job.result,
+  }));
+  const formats = options.exportFormats.length > 0 ? options.exportFormats : ['csv'];
+  await exportResults(results, { ...options, exportFormats: formats }, new Date().toISOString());
+  return 0;
+}
+
+// Run the image rules of a site over image URLs, as if a product page had
+// loaded them and none could be tied to the product ID, and print why each
+// one is kept or dropped
+function runExplain(imageUrls, options, { site, json }) {
+  if (imageUrls.length === 0) {
+    throw new ConfigError('explain needs image URLs. Pass them as arguments or use --urls-file');
+  }
+  const adapter = !site ? alibabaAdapter : /^https?:\/\//i.test(site) ? getAdapter(site) : getAdapterByName(site);
+  if (!adapter) {
+    throw new ConfigError(`Unknown site "${site}": use a product URL or one of ${adapterNames().join(', ')}`);
+  }
+
+  const rules = ImageRules.forAdapter(adapter, options.imageRules, { maxImages: options.maxImages });
+  const decisions = rules.explain(imageUrls);
+  if (json) {
+    console.log(JSON.stringify({ site: adapter.name, rules: rules.describe(), decisions }, null, 2));
+    return 0;
+  }
+
+  const lines = [`Site: ${adapter.name}`, ''];
+  for (const decision of decisions) {
+    const verdict = decision.kept ? 'kept' : 'dropped';
+    const score = decision.score === null ? 'filtered' : `score ${decision.score}`;
+    lines.push(`${verdict.padEnd(8)} ${score.padEnd(9)} ${decision.url}`);
+    if (decision.reasons.length > 0) lines.push(`${' '.repeat(19)}${decision.reasons.join('; ')}`);
+  }
+  const kept = decisions.filter(decision => decision.kept).length;
+  lines.push('', `${kept} of ${decisions.length} kept`);
+  console.log(lines.join('\n'));
+  return 0;
+}
+
+// Print the progress recorded in the job file
+function runStatus(options, { json }) {
+  const jobs = new JobStore(jobFilePath(options), { maxAttempts: options.jobMaxAttempts }).load();
+  const owner = jobs.lockOwner();
+
+  if (json) {
+    console.log(JSON.stringify({
+      jobFile: jobs.filePath,
+      runningPid: owner,
+      summary: jobs.summary(),
+      jobs: Array.from(jobs.jobs.values()),
+    }, null, 2));
+    return 0;
+  }
+
+  if (jobs.jobs.size === 0) {
+    console.log(`No jobs recorded in ${jobs.filePath}`);
+    return 0;
+  }
+
+  const summary = jobs.summary();
+  const lines = [
+    `Job file: ${jobs.filePath}`,
+    owner ? `A run is in progress (pid ${owner})` : null,
+    `Total: ${summary.total}  done: ${summary.done}  failed: ${summary.failed}  pending: ${summary.pending}  ` +
+      `${owner ? 'running' : 'interrupted'}: ${summary.running}`,
+  ].filter(Boolean);
+
+  const failed = Array.from(jobs.jobs.values()).filter(job => job.status === 'failed');
+  if (failed.length > 0) {
+    lines.push('', 'Failed by reason:');
+    for (const [reason, count] of Object.entries(summary.reasons).sort((a, b) => b[1] - a[1])) {
+      lines.push(`  ${reason.padEnd(16)} ${count}`);
+    }
+    lines.push('', 'Failed jobs:');
+    for (const job of failed) {
+      const retry = jobs.shouldRun(job.url) ? 'will retry' : 'will not retry';
+      lines.push(`  ${job.url}`, `    ${job.reason}, ${job.attempts} attempt(s), ${retry}: ${job.lastError || 'no details'}`);
+    }
+  }
+  console.log(lines.join('\n'));
+  return 0;
+}
+
+/**
+ * CLI entry point. Resolves to the process exit code.
+ */
+async function run(argv = process.argv.slice(2), env = process.env) {
+  let cli;
+  try {
+    cli = loadConfig(argv, env);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`Error: ${error.message}\nRun with --help for usage.`);
+      return 2;
+    }
+    throw error;
+  }
+
+  if (cli.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  logger.configure(cli.options);
+  try {
+    if (cli.command === 'status') {
+      return runStatus(cli.options, cli);
+    }
+    if (cli.command === 'discover') {
+      return await runDiscover(cli.urls, cli.options, cli);
+    }
+    if (cli.command === 'watch') {
+      return await runWatch(cli.urls, cli.options, cli);
+    }
+    if (cli.command === 'serve') {
+      return await runServe(cli.options);
+    }
+    if (cli.command === 'export') {
+      return await runExport(cli.urls, cli.options);
+    }
+    if (cli.command === 'explain') {
+      return runExplain(cli.urls, cli.options, cli);
+    }
+    return await runScrape(cli.urls, cli.options, cli);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`Error: ${error.message}`);
+      return 2;
+    }
+    logger.error('Fatal error', { error: error.message, stack: error.stack });
+    return 1;
+  } finally {
+    await logger.close();
+  }
+}
+
+const isMainModule = () => {
+  if (!process.argv[1]) return false;
+  try {
+    return fs.realpathSync(process.argv[1]) === fs.realpathSync(__filename);
+  } catch (error) {
+    return false;
+  }
+};
+
+if (isMainModule()) {
+  run().then((code) => {
+    process.exitCode = code;
+  }).catch((error) => {
+    console.error('Fatal error in main execution:', error);
+    process.exit(1);
+  });
+}
+
+export { run, loadConfig, ConfigError };
@@ -0,0 +1,172 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+// Debug bundles: what the browser saw when a product failed or came back
+// without images, saved to debug/<productId>/<time>/ so a captcha, a changed
+// layout or a moved endpoint can be told apart without re-running the product
+// by hand. A bundle holds a full-page screenshot, the final DOM, the responses
+// of the attempt with their status and content type, and optionally a
+// Playwright trace of the attempt.
+
+const DEBUG_DIR = 'debug';
+
+// Responses kept per attempt; pages that keep polling are cut off here
+const MAX_RESPONSES = 5000;
+
+// Time allowed for each artifact, so a hung page cannot stall the batch
+const ARTIFACT_TIMEOUT = 20000;
+
+// ISO time usable as a folder name
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function withTimeout(promise, ms, what) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class DebugRecorder {
+  /**
+   * One per scraping worker; follows the worker's browser context.
+   *
+   * @param {string} dir - Root of the bundles, e.g. downloads/debug
+   * @param {object} [options]
+   * @param {boolean} [options.trace] - Record a Playwright trace of every attempt (kept only in bundles)
+   */
+  constructor(dir, { trace = false } = {}) {
+    this.dir = dir;
+    this.trace = trace;
+    this.context = null;
+    this.page = null;
+    this.tracing = false;
+    this.responses = [];
+    this.dropped = 0;
+  }
+
+  // Start recording a newly opened context and its page
+  async attach(context, page) {
+    this.context = context;
+    this.page = page;
+    this.tracing = false;
+    page.on('response', response => this.recordResponse(response));
+    page.on('requestfailed', request => this.recordFailure(request));
+    if (this.trace) {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+    }
+  }
+
+  record(entry) {
+    if (this.responses.length >= MAX_RESPONSES) {
+      this.dropped++;
+      return;
+    }
+    this.responses.push({ time: new Date().toISOString(), ...entry });
+  }
+
+  recordResponse(response) {
+    const request = response.request();
+    this.record({
+      method: request.method(),
+      url: response.url(),
+      status: response.status(),
+      contentType: response.headers()['content-type'] || null,
+      resourceType: request.resourceType(),
+    });
+  }
+
+  // Requests that never got an answer: blocked, reset, timed out
+  recordFailure(request) {
+    this.record({
+      method: request.method(),
+      url: request.url(),
+      status: null,
+      contentType: null,
+      resourceType: request.resourceType(),
+      error: request.failure()?.errorText || 'failed',
+    });
+  }
+
+  // Called at the start of every attempt: a fresh response list and trace chunk
+  async begin() {
+    this.responses = [];
+    this.dropped = 0;
+    if (this.trace && this.context) {
+      await this.endTrace();
+      await this.context.tracing.startChunk();
+      this.tracing = true;
+    }
+  }
+
+  // Stop the attempt's trace chunk, writing it to `filePath` or discarding it
+  async endTrace(filePath = null) {
+    if (!this.tracing) return false;
+    this.tracing = false;
+    await this.context.tracing.stopChunk(filePath ? { path: filePath } : {});
+    return Boolean(filePath);
+  }
+
+  // The attempt went fine: nothing to keep
+  async discard() {
+    await this.endTrace().catch(() => {});
+  }
+
+  /**
+   * Save the bundle of the current attempt. `info` ({ url, productId,
+   * attempt, reason, error, ... }) goes to bundle.json with the list of
+   * files written. An artifact that cannot be taken (closed or crashed page)
+   * is recorded under `errors` and the rest is still saved. Resolves to the
+   * bundle folder.
+   */
+  async save(info) {
+    const bundleDir = path.join(this.dir, String(info.productId || 'unknown'), timestamp());
+    await fs.ensureDir(bundleDir);
+
+    const files = [];
+    const errors = {};
+    const artifact = async (name, write) => {
+      try {
+        await withTimeout(write(path.join(bundleDir, name)), ARTIFACT_TIMEOUT, name);
+        files.push(name);
+      } catch (error) {
+        errors[name] = error.message;
+      }
+    };
+
+    const { page } = this;
+    let finalUrl = null;
+    let title = null;
+    if (page && !page.isClosed()) {
+      finalUrl = page.url();
+      title = await withTimeout(page.title(), ARTIFACT_TIMEOUT, 'title').catch(() => null);
+      await artifact('screenshot.png', filePath => page.screenshot({ path: filePath, fullPage: true, timeout: ARTIFACT_TIMEOUT }));
+      await artifact('page.html', async filePath => fs.writeFile(filePath, await page.content()));
+    } else {
+      errors.page = 'The page was closed';
+    }
+    await artifact('responses.json', filePath => fs.writeJson(filePath, {
+      total: this.responses.length + this.dropped,
+      dropped: this.dropped,
+      responses: this.responses,
+    }, { spaces: 2 }));
+    if (this.tracing) {
+      await artifact('trace.zip', filePath => this.endTrace(filePath));
+    }
+
+    await fs.writeJson(path.join(bundleDir, 'bundle.json'), {
+      ...info,
+      finalUrl,
+      title,
+      savedAt: new Date().toISOString(),
+      responses: this.responses.length + this.dropped,
+      files,
+      errors,
+    }, { spaces: 2 });
+    return bundleDir;
+  }
+}
+
+export { DebugRecorder, DEBUG_DIR };
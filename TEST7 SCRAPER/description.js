@@ -0,0 +1,241 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { parseJsonLike } from './product-data.js';
+import { alibabaAdapter } from './site-adapters.js';
+
+// Product description extraction: parses the description iframe (or the HTML
+// fragment behind it) as a document, collects its images in reading order and
+// saves a sanitized HTML and Markdown copy that points at the local files.
+
+const IMAGE_PLACEHOLDER = /__DESC_IMAGE_(\d+)__/g;
+
+// Description endpoints answer with HTML, or JSON/JSONP wrapping the HTML
+function findHtml(body) {
+  if (typeof body !== 'string') return null;
+  const data = parseJsonLike(body);
+  if (!data || typeof data !== 'object') {
+    return /<[a-z][\s\S]*>/i.test(body) ? body : null;
+  }
+
+  // The longest string that looks like markup
+  let best = null;
+  const walk = (value, depth) => {
+    if (depth > 12 || value === null || value === undefined) return;
+    if (typeof value === 'string') {
+      if (/<(?:img|p|div|table)\b/i.test(value) && (!best || value.length > best.length)) best = value;
+      return;
+    }
+    if (typeof value === 'object') Object.values(value).forEach(child => walk(child, depth + 1));
+  };
+  walk(data, 0);
+  return best;
+}
+
+// Runs in the description document. Must be self-contained.
+// Returns images in reading order plus sanitized HTML and Markdown in which
+// every image source is a __DESC_IMAGE_<n>__ placeholder.
+function readDescriptionDocument() {
+  const LAZY_ATTRIBUTES = ['data-src', 'data-lazy-src', 'data-original', 'data-ks-lazyload', 'data-lazyload', 'original'];
+  const ALLOWED_TAGS = new Set(['P', 'BR', 'DIV', 'SPAN', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI',
+    'TABLE', 'THEAD', 'TBODY', 'TR', 'TD', 'TH', 'IMG', 'A', 'STRONG', 'B', 'EM', 'I', 'U', 'BLOCKQUOTE', 'HR',
+    'FIGURE', 'FIGCAPTION']);
+  const ALLOWED_ATTRIBUTES = { IMG: ['src', 'alt', 'width', 'height'], A: ['href'], TD: ['colspan', 'rowspan'], TH: ['colspan', 'rowspan'] };
+  const DROPPED_TAGS = 'script, style, iframe, object, embed, form, input, button, select, textarea, link, meta, noscript, svg';
+
+  const imageSource = (img) => {
+    for (const attribute of LAZY_ATTRIBUTES) {
+      const value = img.getAttribute(attribute);
+      if (value && !value.startsWith('data:')) return value;
+    }
+    // Largest srcset candidate, then src
+    const srcset = (img.getAttribute('srcset') || '').split(',')
+      .map(entry => entry.trim().split(/\s+/))
+      .filter(([url]) => url)
+      .sort((a, b) => (parseFloat(b[1]) || 0) - (parseFloat(a[1]) || 0));
+    if (srcset.length > 0) return srcset[0][0];
+    const src = img.getAttribute('src');
+    return src && !src.startsWith('data:') ? src : null;
+  };
+
+  const root = document.body.cloneNode(true);
+  root.querySelectorAll(DROPPED_TAGS).forEach(node => node.remove());
+
+  // Resolve lazy-loaded images, in document (reading) order
+  const images = [];
+  root.querySelectorAll('img').forEach((img) => {
+    const source = imageSource(img);
+    if (!source) {
+      img.remove();
+      return;
+    }
+    images.push(new URL(source, document.baseURI).href);
+    img.setAttribute('src', `__DESC_IMAGE_${images.length - 1}__`);
+  });
+
+  // Unwrap unknown tags and drop attributes that are not explicitly allowed
+  const sanitize = (element) => {
+    for (const child of Array.from(element.children)) {
+      sanitize(child);
+      if (!ALLOWED_TAGS.has(child.tagName)) {
+        child.replaceWith(...child.childNodes);
+        continue;
+      }
+      const allowed = ALLOWED_ATTRIBUTES[child.tagName] || [];
+      for (const attribute of Array.from(child.attributes)) {
+        if (!allowed.includes(attribute.name)) child.removeAttribute(attribute.name);
+      }
+      if (child.tagName === 'A') {
+        const href = child.getAttribute('href') || '';
+        if (/^\s*javascript:/i.test(href)) child.removeAttribute('href');
+        else if (href) child.setAttribute('href', new URL(href, document.baseURI).href);
+      }
+    }
+  };
+  sanitize(root);
+
+  const inline = text => text.replace(/\s+/g, ' ');
+  const toMarkdown = (node, listContext = null) => {
+    if (node.nodeType === Node.TEXT_NODE) return inline(node.textContent);
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const children = (context = listContext) => Array.from(node.childNodes).map(child => toMarkdown(child, context)).join('');
+    switch (node.tagName) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+        return `\n\n${'#'.repeat(Number(node.tagName[1]))} ${children().trim()}\n\n`;
+      case 'P': case 'DIV': case 'FIGURE': case 'BLOCKQUOTE':
+        return `\n\n${node.tagName === 'BLOCKQUOTE' ? '> ' : ''}${children().trim()}\n\n`;
+      case 'BR': return '  \n';
+      case 'HR': return '\n\n---\n\n';
+      case 'STRONG': case 'B': {
+        const text = children().trim();
+        return text ? `**${text}**` : '';
+      }
+      case 'EM': case 'I': {
+        const text = children().trim();
+        return text ? `*${text}*` : '';
+      }
+      case 'A': {
+        const text = children().trim();
+        const href = node.getAttribute('href');
+        return href && text ? `[${text}](${href})` : text;
+      }
+      case 'IMG':
+        return `![${(node.getAttribute('alt') || '').replace(/[[\]]/g, '')}](${node.getAttribute('src')})`;
+      case 'UL': case 'OL':
+        return `\n\n${children(node.tagName)}\n\n`;
+      case 'LI':
+        return `\n${listContext === 'OL' ? '1.' : '-'} ${children(null).trim()}`;
+      case 'TABLE': {
+        const rows = Array.from(node.querySelectorAll('tr')).map(row =>
+          Array.from(row.children).map(cell => toMarkdown(cell).trim().replace(/\n+/g, ' ').replace(/\|/g, '\\|')));
+        if (rows.length === 0) return '';
+        const width = Math.max(...rows.map(row => row.length));
+        const line = row => `| ${Array.from({ length: width }, (_, i) => row[i] || '').join(' | ')} |`;
+        return `\n\n${[line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n')}\n\n`;
+      }
+      default:
+        return children();
+    }
+  };
+
+  const markdown = toMarkdown(root)
+    .replace(/[ \t]+\n/g, match => (match.endsWith('  \n') ? '  \n' : '\n'))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    images,
+    html: root.innerHTML.trim(),
+    markdown,
+    textLength: root.textContent.trim().length,
+  };
+}
+
+// Collects description HTML seen by the network interceptor. The site
+// adapter tells which URLs serve the description.
+class DescriptionExtractor {
+  constructor(adapter = alibabaAdapter) {
+    this.adapter = adapter;
+    this.sources = []; // { url, html }
+  }
+
+  addResponse(url, body) {
+    if (!this.adapter.isDescriptionUrl(url)) return false;
+    const html = findHtml(typeof body === 'string' ? body : JSON.stringify(body));
+    if (!html) return false;
+    this.sources.push({ url, html });
+    return true;
+  }
+
+  /**
+   * Read the description from its iframe on the page or, failing that, from
+   * the intercepted HTML loaded into a scratch page with all requests blocked.
+   * Resolves to { sourceUrl, images, html, markdown } or null.
+   */
+  async extract(page) {
+    const frame = page.frames().find(candidate => candidate !== page.mainFrame() && this.adapter.isDescriptionUrl(candidate.url()));
+    if (frame) {
+      try {
+        const result = await frame.evaluate(readDescriptionDocument);
+        if (result.images.length > 0 || result.textLength > 0) return { sourceUrl: frame.url(), ...result };
+      } catch (error) {
+        // Frame navigated away or is cross-origin; fall back to the captured HTML
+      }
+    }
+
+    const source = this.sources.reduce((best, candidate) =>
+      (!best || candidate.html.length > best.html.length ? candidate : best), null);
+    if (!source) return null;
+
+    const scratch = await page.context().newPage();
+    try {
+      // Parse only: no scripts, images or other subresources are fetched
+      await scratch.route('**/*', route => route.abort());
+      const html = source.html.replace(/<script\b[\s\S]*?<\/script>/gi, '');
+      await scratch.setContent(`<!DOCTYPE html><html><head><base href="${source.url.replace(/"/g, '&quot;')}"></head><body>${html}</body></html>`, {
+        waitUntil: 'domcontentloaded',
+      });
+      const result = await scratch.evaluate(readDescriptionDocument);
+      if (result.images.length === 0 && result.textLength === 0) return null;
+      return { sourceUrl: source.url, ...result };
+    } finally {
+      await scratch.close().catch(() => {});
+    }
+  }
+
+  clear() {
+    this.sources = [];
+  }
+}
+
+/**
+ * Write description.html and description.md into the product folder, with
+ * image placeholders replaced by the downloaded files (relative paths) or,
+ * for images that were not downloaded, their original URLs.
+ *
+ * @param {string} productDir
+ * @param {object} description - Result of DescriptionExtractor.extract()
+ * @param {Map<string, string>} files - Image URL -> downloaded file path
+ * @param {Function} [urlFor] - Maps a description image URL to the URL that was downloaded
+ */
+async function writeDescription(productDir, description, files, urlFor = url => url) {
+  const reference = (index) => {
+    const url = description.images[Number(index)];
+    const filePath = files.get(urlFor(url));
+    return filePath ? path.relative(productDir, filePath).split(path.sep).join('/') : url;
+  };
+  const replace = (text, escape = value => value) =>
+    text.replace(IMAGE_PLACEHOLDER, (match, index) => escape(reference(index)));
+
+  await fs.ensureDir(productDir);
+  const htmlPath = path.join(productDir, 'description.html');
+  const markdownPath = path.join(productDir, 'description.md');
+
+  const html = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n<title>Product description</title>\n</head>\n<body>\n${replace(description.html, value => value.replace(/&/g, '&amp;'))}\n</body>\n</html>\n`;
+  await fs.writeFile(htmlPath, html);
+  await fs.writeFile(markdownPath, `${replace(description.markdown)}\n`);
+
+  return { html: htmlPath, markdown: markdownPath };
+}
+
+export { DescriptionExtractor, writeDescription };
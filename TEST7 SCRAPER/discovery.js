@@ -0,0 +1,147 @@
+// Product discovery: reads product links off search results, category pages
+// and supplier storefronts, and finds the way to the next listing page. The
+// scraper drives the browser; the site adapter tells product links apart.
+
+// Generic "next page" controls, tried after the adapter's own selectors
+const NEXT_PAGE_SELECTORS = [
+  'a[rel="next"]',
+  'link[rel="next"]',
+  '[class*="pagination"] [class*="next"]',
+  '[class*="pager"] [class*="next"]',
+  'a[aria-label*="next" i]',
+  'button[aria-label*="next" i]',
+];
+
+// Marks the control clicked to reach the next page
+const NEXT_PAGE_MARKER = 'data-scraper-next';
+
+// Runs in the page. Every link with the text a shopper would see for it.
+function readListingLinks() {
+  return Array.from(document.querySelectorAll('a[href]')).map((link) => {
+    const image = link.querySelector('img');
+    const title = link.getAttribute('title') || link.textContent || (image && image.getAttribute('alt')) || '';
+    return {
+      href: link.href,
+      title: title.replace(/\s+/g, ' ').trim().slice(0, 300),
+    };
+  });
+}
+
+// Runs in the page. Resolves to { href } for a next-page link, { click: true }
+// for a control that has to be clicked (marked with the marker attribute),
+// or null on the last page.
+function readNextPage({ selectors, marker }) {
+  const isDisabled = element => element.hasAttribute('disabled') ||
+    element.getAttribute('aria-disabled') === 'true' ||
+    /\bdisabled\b/i.test(element.getAttribute('class') || '');
+
+  document.querySelectorAll(`[${marker}]`).forEach(element => element.removeAttribute(marker));
+
+  for (const selector of selectors) {
+    for (const element of document.querySelectorAll(selector)) {
+      const control = element.closest('a, button') || element;
+      if (isDisabled(element) || isDisabled(control)) continue;
+
+      const href = control.getAttribute('href');
+      if (href && !/^\s*(?:#|javascript:)/i.test(href)) {
+        return { href: new URL(href, document.baseURI).href };
+      }
+      if (control.tagName === 'LINK' || control.getClientRects().length === 0) continue;
+
+      control.setAttribute(marker, '1');
+      return { click: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the way to the next listing page: a "next" link, a "next" control to
+ * click, or the adapter's page parameter. Resolves to { url }, { click:
+ * selector } or null when this is the last page.
+ */
+async function findNextPage(page, adapter, listingUrl, pageNumber) {
+  const next = await page.evaluate(readNextPage, {
+    selectors: [...adapter.selectors.nextPage, ...NEXT_PAGE_SELECTORS],
+    marker: NEXT_PAGE_MARKER,
+  });
+  if (next && next.href && next.href !== page.url()) return { url: next.href };
+  if (next && next.click) return { click: `[${NEXT_PAGE_MARKER}]` };
+
+  const url = adapter.listingPageUrl(listingUrl, pageNumber + 1);
+  return url ? { url } : null;
+}
+
+// Collects discovered products, one per product ID, applying the title/URL
+// filters and the product limit
+class ProductCollector {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxProducts] - Stop after this many products (0: no limit)
+   * @param {RegExp} [options.match] - Keep only products whose title or URL matches
+   * @param {RegExp} [options.exclude] - Drop products whose title or URL matches
+   */
+  constructor({ maxProducts = 0, match = null, exclude = null } = {}) {
+    this.maxProducts = maxProducts;
+    this.match = match;
+    this.exclude = exclude;
+    this.products = new Map(); // productId -> { url, productId, title, source, page }
+    this.seen = new Set();     // every product ID met, kept or filtered out
+    this.filtered = 0;
+  }
+
+  get full() {
+    return this.maxProducts > 0 && this.products.size >= this.maxProducts;
+  }
+
+  keeps(product) {
+    const text = `${product.title} ${product.url}`;
+    if (this.match && !this.match.test(text)) return false;
+    if (this.exclude && this.exclude.test(text)) return false;
+    return true;
+  }
+
+  /**
+   * Add the product links of one listing page. A product card usually links
+   * the same product several times (image, title); the longest text wins.
+   * Returns { found, added }: product IDs not seen before, and products kept.
+   */
+  addLinks(links, adapter, { source = null, page = null } = {}) {
+    const candidates = new Map();
+    for (const link of links) {
+      const url = adapter.productUrl(link.href);
+      if (!url) continue;
+      const productId = adapter.parseProductId(url);
+      const existing = candidates.get(productId);
+      if (!existing) {
+        candidates.set(productId, { url, productId, title: link.title, source, page });
+      } else if (link.title.length > existing.title.length) {
+        existing.title = link.title;
+      }
+    }
+
+    let found = 0;
+    let added = 0;
+    for (const product of candidates.values()) {
+      if (this.seen.has(product.productId)) continue;
+      this.seen.add(product.productId);
+      found++;
+
+      if (this.full) continue;
+      if (!this.keeps(product)) {
+        this.filtered++;
+        continue;
+      }
+      this.products.set(product.productId, product);
+      added++;
+    }
+    return { found, added };
+  }
+
+  // Discovered products in the order they were found
+  getProducts() {
+    return Array.from(this.products.values());
+  }
+}
+
+export { ProductCollector, readListingLinks, findNextPage };
@@ -0,0 +1,322 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { readManifest } from './manifest.js';
+
+// Batch exports: one feed per format for a list of scrape results, built from
+// the products' manifests. 'csv' and 'jsonl' list every product with its
+// status; 'shopify' and 'woocommerce' are product import files for those
+// stores and only contain products that were scraped.
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'shopify', 'woocommerce'];
+const EXPORTS_DIR = 'exports';
+
+const FILE_NAMES = {
+  csv: 'products',
+  jsonl: 'products',
+  shopify: 'shopify-products',
+  woocommerce: 'woocommerce-products',
+};
+
+// ISO time usable in a file name
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) lines.push(columns.map(column => csvCell(row[column])).join(','));
+  // BOM so spreadsheet applications read the file as UTF-8
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+}
+
+// Lowest and highest tier price; the lowest is the price at the largest quantity
+function priceRange(priceTiers = []) {
+  const prices = priceTiers.map(tier => tier.price).filter(Number.isFinite);
+  if (prices.length === 0) return { min: null, max: null, currency: null };
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    currency: (priceTiers.find(tier => tier.currency) || {}).currency || null,
+  };
+}
+
+/**
+ * Turn scrape results (from scrapeMultipleProducts or the job file) into
+ * export records, reading each product's manifest. Image paths are relative
+ * to the download directory, processed copies preferred; image URLs are
+ * below `imageBaseUrl` when given, else the source URLs on the marketplace CDN.
+ */
+async function buildExportRecords(results, { downloadDir, imageBaseUrl = null }) {
+  const hosted = (relativePath) => {
+    const base = imageBaseUrl.replace(/\/+$/, '');
+    return `${base}/${relativePath.split('/').map(encodeURIComponent).join('/')}`;
+  };
+
+  const records = [];
+  for (const result of results) {
+    const productDir = result.manifest ? path.dirname(result.manifest) : null;
+    const manifest = result.success && productDir ? await readManifest(productDir).catch(() => null) : null;
+    const product = (manifest && manifest.product) || {};
+    const folder = productDir ? path.relative(downloadDir, productDir).split(path.sep).join('/') : null;
+
+    // Original path (relative to the product folder) -> processed copy
+    const processed = new Map(((manifest && manifest.processed) || [])
+      .filter(entry => entry.path)
+      .map(entry => [entry.source, entry.path]));
+    const image = (filePath, sourceUrl) => {
+      const relativePath = `${folder}/${(processed.get(filePath) || filePath).split(path.sep).join('/')}`;
+      return { path: relativePath, url: imageBaseUrl ? hosted(relativePath) : sourceUrl, sourceUrl };
+    };
+
+    const images = manifest
+      ? [...manifest.images].sort((a, b) => a.index - b.index).map(entry => image(entry.path, entry.url))
+      : [];
+    const variants = manifest
+      ? manifest.variants.map(variant => ({
+        label: variant.label,
+        properties: variant.properties,
+        images: variant.downloads
+          ? variant.downloads.map(download => image(download.path, download.url))
+          // Manifests written before downloads were recorded: the files line
+          // up with the images only when none of them failed
+          : variant.files.map((file, index) => image(file, variant.files.length === variant.images.length ? variant.images[index] : null)),
+      }))
+      : [];
+
+    records.push({
+      productId: result.productId || (manifest && manifest.productId) || null,
+      title: product.title || result.productName || (manifest && manifest.productName) || null,
+      url: result.url || (manifest && manifest.productUrl) || null,
+      status: result.success ? 'done' : 'failed',
+      reason: result.success ? null : result.reason || 'error',
+      error: result.success ? null : result.error || null,
+      scrapedAt: manifest ? manifest.scrapedAt : null,
+      images,
+      variants,
+      priceTiers: product.priceTiers || [],
+      moq: product.moq ?? null,
+      unit: product.unit ?? null,
+      supplier: product.supplier || null,
+      attributes: product.attributes || [],
+      categories: product.categories || [],
+    });
+  }
+  return records;
+}
+
+function flatCsv(records) {
+  const columns = [
+    'product_id', 'title', 'source_url', 'status', 'reason', 'error', 'scraped_at',
+    'image_count', 'image_paths', 'image_urls', 'price_min', 'price_max', 'currency',
+    'moq', 'unit', 'supplier_name', 'supplier_location', 'supplier_years',
+    'categories', 'attributes', 'variants', 'price_tiers',
+  ];
+  const rows = records.map((record) => {
+    const price = priceRange(record.priceTiers);
+    return {
+      product_id: record.productId,
+      title: record.title,
+      source_url: record.url,
+      status: record.status,
+      reason: record.reason,
+      error: record.error,
+      scraped_at: record.scrapedAt,
+      image_count: record.images.length,
+      // "|" cannot appear in a URL unescaped nor in our file names
+      image_paths: record.images.map(image => image.path).join('|'),
+      image_urls: record.images.map(image => image.url).filter(Boolean).join('|'),
+      price_min: price.min,
+      price_max: price.max,
+      currency: price.currency,
+      moq: record.moq,
+      unit: record.unit,
+      supplier_name: record.supplier && record.supplier.name,
+      supplier_location: record.supplier && record.supplier.location,
+      supplier_years: record.supplier && record.supplier.years,
+      categories: record.categories.map(category => category.name).join(' > '),
+      attributes: record.attributes.map(attribute => `${attribute.name}: ${attribute.value}`).join('; '),
+      variants: record.variants.map(variant => variant.label).join('; '),
+      price_tiers: record.priceTiers.length > 0 ? JSON.stringify(record.priceTiers) : '',
+    };
+  });
+  return toCsv(columns, rows);
+}
+
+function jsonl(records) {
+  return records.map(record => `${JSON.stringify(record)}\n`).join('');
+}
+
+// Attributes as the product description
+function descriptionHtml(record) {
+  if (record.attributes.length === 0) return '';
+  const items = record.attributes.map(attribute => `<li><strong>${escapeHtml(attribute.name)}:</strong> ${escapeHtml(attribute.value)}</li>`);
+  return `<ul>${items.join('')}</ul>`;
+}
+
+// Store options come from the variant property with the most values, since
+// the scraper records one property per variant rather than combinations
+function variantOption(record) {
+  const byName = new Map();
+  for (const variant of record.variants) {
+    for (const [name, value] of Object.entries(variant.properties || {})) {
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push({ value, images: variant.images });
+    }
+  }
+  let best = null;
+  for (const [name, values] of byName) {
+    if (!best || values.length > best.values.length) best = { name, values };
+  }
+  return best;
+}
+
+// Shopify product CSV: one row per image and per variant, the first row
+// carrying the product fields. Products are imported as drafts.
+function shopifyCsv(records) {
+  const columns = [
+    'Handle', 'Title', 'Body (HTML)', 'Vendor', 'Type', 'Tags', 'Published',
+    'Option1 Name', 'Option1 Value', 'Variant SKU', 'Variant Price', 'Variant Image',
+    'Image Src', 'Image Position', 'Image Alt Text', 'Status',
+  ];
+  const rows = [];
+  for (const record of records.filter(entry => entry.status === 'done')) {
+    const handle = [slugify(record.title), record.productId].filter(Boolean).join('-');
+    const price = priceRange(record.priceTiers).min;
+    const option = variantOption(record);
+    const variants = option
+      ? option.values.map(value => ({ name: option.name, value: value.value, image: value.images[0] }))
+      : [{ name: 'Title', value: 'Default Title', image: null }];
+    const images = record.images.filter(image => image.url);
+
+    for (let i = 0; i < Math.max(variants.length, images.length, 1); i++) {
+      const row = { Handle: handle };
+      if (i === 0) {
+        Object.assign(row, {
+          Title: record.title,
+          'Body (HTML)': descriptionHtml(record),
+          Vendor: record.supplier && record.supplier.name,
+          Type: record.categories.length > 0 ? record.categories[record.categories.length - 1].name : '',
+          Tags: record.categories.map(category => category.name).join(', '),
+          Published: 'FALSE',
+          'Option1 Name': variants[0].name,
+          Status: 'draft',
+        });
+      }
+      const variant = variants[i];
+      if (variant) {
+        Object.assign(row, {
+          'Option1 Value': variant.value,
+          'Variant SKU': variants.length > 1 ? `${record.productId}-${slugify(variant.value) || i}` : record.productId,
+          'Variant Price': price,
+          'Variant Image': variant.image && variant.image.url,
+        });
+      }
+      const image = images[i];
+      if (image) {
+        Object.assign(row, { 'Image Src': image.url, 'Image Position': i + 1, 'Image Alt Text': record.title });
+      }
+      rows.push(row);
+    }
+  }
+  return toCsv(columns, rows);
+}
+
+// WooCommerce product CSV: a simple product, or a variable product followed
+// by one variation row per option value. Products are imported unpublished.
+function wooCommerceCsv(records) {
+  const columns = [
+    'ID', 'Type', 'SKU', 'Parent', 'Name', 'Published', 'Description', 'Regular price',
+    'Categories', 'Tags', 'Images', 'Attribute 1 name', 'Attribute 1 value(s)',
+    'Attribute 1 visible', 'Attribute 1 global', 'Meta: _source_url',
+  ];
+  const rows = [];
+  for (const record of records.filter(entry => entry.status === 'done')) {
+    const price = priceRange(record.priceTiers).min;
+    const option = variantOption(record);
+    const sku = record.productId;
+    rows.push({
+      Type: option ? 'variable' : 'simple',
+      SKU: sku,
+      Name: record.title,
+      Published: 0,
+      Description: descriptionHtml(record),
+      'Regular price': option ? '' : price,
+      Categories: record.categories.map(category => category.name).join(' > '),
+      Images: record.images.map(image => image.url).filter(Boolean).join(', '),
+      'Attribute 1 name': option ? option.name : '',
+      'Attribute 1 value(s)': option ? option.values.map(value => value.value).join(', ') : '',
+      'Attribute 1 visible': option ? 1 : '',
+      'Attribute 1 global': option ? 0 : '',
+      'Meta: _source_url': record.url,
+    });
+    for (const [index, value] of (option ? option.values : []).entries()) {
+      rows.push({
+        Type: 'variation',
+        SKU: `${sku}-${slugify(value.value) || index}`,
+        Parent: sku,
+        Name: `${record.title} - ${value.value}`,
+        Published: 1,
+        'Regular price': price,
+        Images: value.images.length > 0 && value.images[0].url ? value.images[0].url : '',
+        'Attribute 1 name': option.name,
+        'Attribute 1 value(s)': value.value,
+        'Attribute 1 global': 0,
+      });
+    }
+  }
+  return toCsv(columns, rows);
+}
+
+const WRITERS = {
+  csv: { extension: '.csv', render: flatCsv },
+  jsonl: { extension: '.jsonl', render: jsonl },
+  shopify: { extension: '.csv', render: shopifyCsv },
+  woocommerce: { extension: '.csv', render: wooCommerceCsv },
+};
+
+/**
+ * Write one feed per format to <exportDir>/<name>-<time>.<ext> (exportDir
+ * defaults to exports/ in the download directory). Resolves to
+ * [{ format, path, products }] where `products` counts the products in the feed.
+ */
+async function writeExports(results, { formats, downloadDir, exportDir = null, imageBaseUrl = null, startedAt = new Date().toISOString() }) {
+  const records = await buildExportRecords(results, { downloadDir, imageBaseUrl });
+  const dir = exportDir || path.join(downloadDir, EXPORTS_DIR);
+  await fs.ensureDir(dir);
+
+  const written = [];
+  for (const format of formats) {
+    const writer = WRITERS[format];
+    const filePath = path.join(dir, `${FILE_NAMES[format]}-${timestamp(new Date(startedAt))}${writer.extension}`);
+    const tempPath = `${filePath}.part`;
+    await fs.writeFile(tempPath, writer.render(records));
+    await fs.rename(tempPath, filePath);
+    const products = ['shopify', 'woocommerce'].includes(format)
+      ? records.filter(record => record.status === 'done').length
+      : records.length;
+    written.push({ format, path: filePath, products });
+  }
+  return written;
+}
+
+export { writeExports, buildExportRecords, EXPORT_FORMATS, EXPORTS_DIR };
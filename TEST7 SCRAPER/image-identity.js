@@ -0,0 +1,51 @@
+// Image identity: one key per picture, whatever rendition of it a URL points
+// at. Alibaba's CDN serves the same upload as
+//   s.alicdn.com/@sc04/kf/H1234u.png_960x960q80.jpg
+//   sc04.alicdn.com/kf/H1234u.jpg
+//   s.alicdn.com/@sc04/kf/H1234u.jpg_.webp
+// which all share the key "kf/H1234u". 1688 (.310x310.jpg, .search.jpg) and
+// AliExpress (.jpg_640x640q75.jpg_.avif) renditions reduce the same way.
+
+/**
+ * Stable key for the picture behind an image URL: the path without host,
+ * @scNN host alias, size, quality or format suffixes.
+ */
+function imageKey(url) {
+  let pathname;
+  try {
+    pathname = new URL(url, 'https://localhost/').pathname;
+  } catch (error) {
+    pathname = String(url).split('?')[0];
+  }
+
+  const segments = pathname.split('/').filter(segment => segment && !/^@sc\d+$/i.test(segment));
+  const fileName = segments.pop() || '';
+  // Everything from the first dot is extension or rendition suffix
+  const stem = fileName.split('.')[0].replace(/_\d+x\d+.*$/, '');
+  return [...segments, stem].join('/');
+}
+
+/**
+ * Largest dimension a rendition URL asks for (_960x960, .310x310), or
+ * Infinity for the original upload without a size suffix.
+ */
+function renditionSize(url) {
+  const fileName = String(url).split('?')[0].split('/').pop() || '';
+  const sizes = Array.from(fileName.matchAll(/[_.](\d+)x(\d+)/g), match => Math.max(Number(match[1]), Number(match[2])));
+  if (sizes.length > 0) return Math.min(...sizes);
+  // .search.jpg / .summ.jpg are 1688 thumbnails
+  return /\.(?:search|summ)\./i.test(fileName) ? 0 : Infinity;
+}
+
+// Drop URLs whose picture is already in the list; the first one wins
+function uniqueImages(urls) {
+  const seen = new Set();
+  return urls.filter((url) => {
+    const key = imageKey(url);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export { imageKey, renditionSize, uniqueImages };
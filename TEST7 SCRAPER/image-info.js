@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+// Detect the image format from the first bytes of the file
+function sniffImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { contentType: 'image/jpeg', extension: '.jpg' };
+  }
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return { contentType: 'image/png', extension: '.png' };
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) {
+    return { contentType: 'image/gif', extension: '.gif' };
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { contentType: 'image/webp', extension: '.webp' };
+  }
+  // ISO-BMFF "ftyp" box with an AVIF brand
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(buffer.toString('ascii', 8, 12))) {
+    return { contentType: 'image/avif', extension: '.avif' };
+  }
+  return null;
+}
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Padding bytes between markers
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    // Standalone markers without a length field
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    // SOF0-SOF15 carry the frame size, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1,
+    };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+}
+
+// Size of the primary image from the first "ispe" (image spatial extents)
+// property: box header, version/flags, then width and height
+function avifDimensions(buffer) {
+  const box = buffer.indexOf('ispe', 0, 'ascii');
+  if (box < 4 || box + 16 > buffer.length) return null;
+  return {
+    width: buffer.readUInt32BE(box + 8),
+    height: buffer.readUInt32BE(box + 12),
+  };
+}
+
+/**
+ * Read width and height from the image header.
+ * Returns null for unknown formats or truncated headers.
+ */
+function readImageDimensions(buffer) {
+  const type = sniffImageType(buffer);
+  if (!type) return null;
+
+  switch (type.contentType) {
+    case 'image/jpeg':
+      return jpegDimensions(buffer);
+    case 'image/png':
+      return buffer.length >= 24
+        ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+        : null;
+    case 'image/gif':
+      return buffer.length >= 10
+        ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+        : null;
+    case 'image/webp':
+      return webpDimensions(buffer);
+    case 'image/avif':
+      return avifDimensions(buffer);
+    default:
+      return null;
+  }
+}
+
+// Whether the file runs to its format's end marker. A download that was cut
+// off, or an error page glued onto a partial file, fails this.
+function isComplete(buffer, contentType) {
+  switch (contentType) {
+    case 'image/jpeg':
+      // EOI marker, allowing for padding some encoders write after it
+      return buffer.subarray(-64).includes(Buffer.from([0xff, 0xd9]));
+    case 'image/png':
+      return buffer.subarray(-12).includes(Buffer.from('IEND', 'ascii'));
+    case 'image/gif':
+      return buffer.subarray(-16).includes(0x3b);
+    case 'image/webp':
+      // RIFF size field counts everything after the first 8 bytes
+      return buffer.length >= 8 && buffer.readUInt32LE(4) + 8 <= buffer.length;
+    default:
+      return true;
+  }
+}
+
+class ImageValidationError extends Error {
+  constructor(reason, message) {
+    super(message);
+    this.name = 'ImageValidationError';
+    // 'not-image', 'truncated' or 'too-small'
+    this.reason = reason;
+  }
+}
+
+function describeImage(buffer) {
+  const type = sniffImageType(buffer);
+  const dimensions = readImageDimensions(buffer);
+
+  return {
+    bytes: buffer.length,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    contentType: type ? type.contentType : null,
+    extension: type ? type.extension : null,
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null,
+  };
+}
+
+/**
+ * Describe a downloaded file: size, SHA-256, detected type and dimensions.
+ */
+async function inspectImage(filePath) {
+  return describeImage(await fs.readFile(filePath));
+}
+
+/**
+ * Check that a downloaded file is a whole image of at least the minimum
+ * size, judging by its bytes rather than the URL or Content-Type. Resolves
+ * to inspectImage()'s description; throws an ImageValidationError otherwise.
+ *
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {number} [options.minWidth]
+ * @param {number} [options.minHeight]
+ */
+async function validateImage(filePath, { minWidth = 0, minHeight = 0 } = {}) {
+  const buffer = await fs.readFile(filePath);
+  const info = describeImage(buffer);
+
+  if (!info.contentType) {
+    const start = buffer.toString('utf8', 0, 64).replace(/\s+/g, ' ').trim();
+    throw new ImageValidationError('not-image', `Not an image (starts with ${JSON.stringify(start)})`);
+  }
+  if (!info.width || !info.height) {
+    throw new ImageValidationError('truncated', `Unreadable ${info.contentType} header`);
+  }
+  if (!isComplete(buffer, info.contentType)) {
+    throw new ImageValidationError('truncated', `Truncated ${info.contentType} (${info.bytes} bytes)`);
+  }
+  if (info.width < minWidth || info.height < minHeight) {
+    throw new ImageValidationError('too-small', `Image is ${info.width}x${info.height}, below the ${minWidth}x${minHeight} minimum`);
+  }
+  return info;
+}
+
+let sharpModule = null;
+
+// sharp is an optional dependency, loaded on first use. `feature` names
+// what needs it in the error when it is not installed.
+async function loadSharp(feature = 'Image decoding') {
+  if (!sharpModule) {
+    try {
+      sharpModule = (await import('sharp')).default;
+    } catch (error) {
+      throw new Error(`${feature} needs the optional "sharp" package: npm install sharp`);
+    }
+  }
+  return sharpModule;
+}
+
+/**
+ * 64-bit difference hash (dHash) as 16 hex digits: the picture shrunk to
+ * 9x8 greyscale, one bit per horizontal neighbour comparison. Re-encoded,
+ * resized or recompressed copies of a photo hash within a few bits.
+ */
+async function perceptualHash(filePath) {
+  const sharp = await loadSharp('Perceptual deduplication');
+  const pixels = await sharp(filePath, { animated: false })
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let column = 0; column < 8; column++) {
+      hash = (hash << 1n) | (pixels[row * 9 + column] > pixels[row * 9 + column + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+// Number of differing bits between two perceptualHash() values
+function hashDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff > 0n) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+export {
+  sniffImageType,
+  readImageDimensions,
+  inspectImage,
+  validateImage,
+  perceptualHash,
+  hashDistance,
+  loadSharp,
+  ImageValidationError,
+};
@@ -0,0 +1,190 @@
+import { parseJsonLike } from './product-data.js';
+import { imageKey } from './image-identity.js';
+
+// Image role classification: tells main gallery shots apart from description
+// banners, SKU swatches, buyer reviews, supplier photos and "you may also
+// like" thumbnails of other products.
+
+const ROLES = ['gallery', 'sku', 'description', 'review', 'supplier', 'recommendation', 'unknown'];
+
+// Roles downloaded unless config.imageRoles says otherwise
+const DEFAULT_DOWNLOAD_ROLES = ['gallery', 'sku', 'description', 'unknown'];
+
+const MAX_DEPTH = 14;
+
+// Checked in this order; the first role whose pattern matches any key on the
+// JSON path wins, so `recommendProducts[2].images` is a recommendation.
+const PATH_PATTERNS = [
+  ['sku', /sku/i],
+  ['review', /review|feedback|evaluat|comment/i],
+  ['recommendation', /recommend|similar|related|youmaylike|guess/i],
+  ['supplier', /company|supplier|seller|factory|certif|store/i],
+  ['description', /desc|richtext|detailcontent/i],
+  ['gallery', /mediaitems|productimage|imagelist|images|mainimage|gallery|imagepath|productimg|imageurl/i],
+];
+
+const SOURCE_PATTERNS = [
+  ['description', /descIframe|product-detail\/description|mainAction\/desc/i],
+  ['review', /review|feedback|evaluation/i],
+  ['recommendation', /recommend|similar|guess|youMayLike/i],
+  ['supplier', /company|supplier|minisite/i],
+];
+
+// Page containers, checked from the image outwards
+const DOM_CONTAINERS = [
+  ['gallery', '.image-gallery, .main-image, [class*="gallery"], [class*="main-image"]'],
+  ['sku', '[class*="sku"]'],
+  ['description', '#description, .description, [class*="description"], [class*="detail-desc"], [class*="module_description"]'],
+  ['review', '[class*="review"], [class*="feedback"]'],
+  ['supplier', '[class*="company"], [class*="supplier"]'],
+  ['recommendation', '[class*="recommend"], [class*="you-may-like"], [class*="related"], [class*="similar"]'],
+];
+
+const IMAGE_URL = /^(?:https?:)?\/\/[^\s"']+\.(?:jpg|jpeg|png|webp|gif)(?:[_?][^\s"']*)?$/i;
+
+function classifySourceUrl(url) {
+  if (!url) return null;
+  const match = SOURCE_PATTERNS.find(([, pattern]) => pattern.test(url));
+  return match ? match[0] : null;
+}
+
+function classifyJsonPath(keys) {
+  for (const [role, pattern] of PATH_PATTERNS) {
+    if (keys.some(key => pattern.test(key))) return role;
+  }
+  return null;
+}
+
+// Runs in a page or frame. Lists images with the container role they sit in.
+function readDomImages({ containers, frameRole }) {
+  const images = [];
+  document.querySelectorAll('img').forEach((img, order) => {
+    const src = img.getAttribute('data-src') || img.getAttribute('data-lazy-src') || img.currentSrc || img.src;
+    if (!src || src.startsWith('data:')) return;
+
+    let role = frameRole;
+    if (!role) {
+      // Innermost matching container decides
+      let closestDistance = Infinity;
+      for (const [containerRole, selector] of containers) {
+        const container = img.closest(selector);
+        if (!container) continue;
+        let distance = 0;
+        for (let node = img; node && node !== container; node = node.parentElement) distance++;
+        if (distance < closestDistance) {
+          closestDistance = distance;
+          role = containerRole;
+        }
+      }
+    }
+    if (role) images.push({ src, role, order });
+  });
+  return images;
+}
+
+// Collects role evidence for one product. DOM containers are the strongest
+// evidence, then the JSON key path, then the response the URL came from.
+class ImageRoleClassifier {
+  constructor() {
+    this.hints = new Map(); // image key -> { role, order, strength }
+  }
+
+  addHint(url, role, order = null, strength = 1) {
+    if (!role) return;
+    const key = imageKey(url);
+    if (!key) return;
+
+    const existing = this.hints.get(key);
+    if (!existing || strength > existing.strength) {
+      this.hints.set(key, { role, order, strength });
+    } else if (strength === existing.strength && existing.role === role && existing.order === null) {
+      existing.order = order;
+    }
+  }
+
+  // Walk parsed JSON, remembering the key path leading to each image URL.
+  // Gallery arrays also give the display order.
+  addJson(sourceUrl, data) {
+    const sourceRole = classifySourceUrl(sourceUrl);
+    let galleryOrder = 0;
+
+    const walk = (value, keys, depth) => {
+      if (depth > MAX_DEPTH || value === null || value === undefined) return;
+      if (typeof value === 'string') {
+        if (!IMAGE_URL.test(value.trim())) return;
+        const role = classifyJsonPath(keys) || sourceRole;
+        this.addHint(value, role, role === 'gallery' ? galleryOrder++ : null, 2);
+        return;
+      }
+      if (typeof value !== 'object') return;
+      for (const [key, child] of Object.entries(value)) {
+        walk(child, Array.isArray(value) ? keys : [...keys, key], depth + 1);
+      }
+    };
+
+    walk(data, [], 0);
+  }
+
+  // Accepts parsed JSON or a raw body (JSONP is unwrapped)
+  addResponse(sourceUrl, body) {
+    const data = parseJsonLike(body);
+    if (data && typeof data === 'object') {
+      this.addJson(sourceUrl, data);
+    } else {
+      this.addText(sourceUrl, body);
+    }
+  }
+
+  // Non-JSON bodies only tell us which response they came from
+  addText(sourceUrl, body) {
+    const role = classifySourceUrl(sourceUrl);
+    if (!role || typeof body !== 'string') return;
+
+    const matches = body.match(/(?:https?:)?\/\/[^\s"'<>()]+\.(?:jpg|jpeg|png|webp|gif)/gi) || [];
+    matches.forEach((url, order) => this.addHint(url, role, role === 'description' ? order : null, 1));
+  }
+
+  // Images on the page and in its frames, by the container they sit in
+  async addDom(page) {
+    for (const frame of page.frames()) {
+      const frameRole = frame === page.mainFrame() ? null : classifySourceUrl(frame.url());
+      if (frame !== page.mainFrame() && !frameRole) continue;
+
+      try {
+        const images = await frame.evaluate(readDomImages, { containers: DOM_CONTAINERS, frameRole });
+        for (const image of images) {
+          this.addHint(image.src, image.role, image.order, 3);
+        }
+      } catch (error) {
+        // Detached or cross-origin frame; nothing to add
+      }
+    }
+  }
+
+  // Resolve to { role, order }; order is null when unknown
+  classify(url) {
+    const hint = this.hints.get(imageKey(url));
+    return hint ? { role: hint.role, order: hint.order } : { role: 'unknown', order: null };
+  }
+
+  /**
+   * Keep only URLs whose role is in `roles`, ordered by role (gallery first)
+   * and then by on-page order. URLs without an order keep their relative order.
+   */
+  filterAndSort(urls, roles = DEFAULT_DOWNLOAD_ROLES) {
+    return urls
+      .map((url, index) => ({ url, index, ...this.classify(url) }))
+      .filter(item => roles.includes(item.role))
+      .sort((a, b) =>
+        (ROLES.indexOf(a.role) - ROLES.indexOf(b.role)) ||
+        ((a.order ?? Infinity) - (b.order ?? Infinity)) ||
+        (a.index - b.index))
+      .map(item => item.url);
+  }
+
+  clear() {
+    this.hints.clear();
+  }
+}
+
+export { ImageRoleClassifier, ROLES, DEFAULT_DOWNLOAD_ROLES };
@@ -0,0 +1,288 @@
+// Image rules: which intercepted image URLs are product images. One rule set
+// per site, from the adapter's defaults (SiteAdapter.imageRules) and the
+// imageRules option of config.json:
+//
+//   hosts     - image hosts allowed (none: any host)
+//   include   - an image must match one of these patterns (none: any image)
+//   exclude   - an image matching any of these is dropped (icons, logos, ...)
+//   minSize   - images whose size suffix (_50x50, .310x310) is smaller are dropped
+//   rules     - [{ name, pattern, weight }]: every matching rule adds its weight
+//               to the image's score
+//   minScore  - when no image could be tied to the product ID, only images
+//               scoring at least this are kept (all of them if none do)
+//
+// The filters apply to every image seen, in responses and in the page's own
+// requests; scores pick among the leftovers and decide which images the
+// per-product cap (maxImages) keeps. Patterns are case-insensitive regular
+// expressions, as strings in config.json.
+
+// UI icons and other non-product images, on every site
+const COMMON_EXCLUDE_PATTERNS = [
+  /imgextra/i,  // UI icons
+  /icon/i,      // Icons
+  /flag/i,      // Country flags
+  /logo/i,      // Logos
+  /thumbnail/i, // Listing thumbnails
+  /tps-\d+-\d+\.(?:png|svg)/i,  // Tiny UI graphics
+];
+
+const DEFAULT_IMAGE_RULES = {
+  hosts: [],
+  include: [],
+  exclude: COMMON_EXCLUDE_PATTERNS,
+  // Smaller size suffixes are UI images (_20x20, _48x48, _80x80 ...)
+  minSize: 100,
+  rules: [],
+  minScore: 0,
+};
+
+// Nothing filtered, nothing scored; the base of `inherit: false`
+const NO_RULES = {
+  hosts: [],
+  include: [],
+  exclude: [],
+  minSize: 0,
+  rules: [],
+  minScore: 0,
+};
+
+const RULE_KEYS = ['hosts', 'include', 'exclude', 'minSize', 'rules', 'minScore', 'inherit'];
+
+// Pattern from config.json (a string) or an adapter (a RegExp). The g flag
+// is dropped: test() on a global pattern depends on the previous call.
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) return new RegExp(pattern.source, pattern.flags.replace('g', ''));
+  return new RegExp(pattern, 'i');
+}
+
+// Smallest size in the file name's size suffixes, or null when it has none
+function sizeSuffix(url) {
+  const fileName = String(url).split('?')[0].split('/').pop() || '';
+  const sizes = Array.from(fileName.matchAll(/[_.](\d+)x(\d+)/g), match => Math.max(Number(match[1]), Number(match[2])));
+  return sizes.length > 0 ? Math.min(...sizes) : null;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Check an imageRules object from config.json (including its `sites`
+ * entries). Throws an Error naming the offending key.
+ */
+function validateImageRules(value, where = 'imageRules') {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${where} must be an object`);
+  }
+  const pattern = (item, key) => {
+    if (typeof item !== 'string' || !item) throw new Error(`${key} must be a non-empty regular expression string`);
+    try {
+      compilePattern(item);
+    } catch (error) {
+      throw new Error(`${key}: ${error.message}`);
+    }
+  };
+  const list = (key) => {
+    if (value[key] === undefined) return;
+    if (!Array.isArray(value[key])) throw new Error(`${where}.${key} must be an array`);
+    value[key].forEach((item, index) => pattern(item, `${where}.${key}[${index}]`));
+  };
+
+  for (const key of Object.keys(value)) {
+    if (!RULE_KEYS.includes(key) && !(key === 'sites' && where === 'imageRules')) {
+      throw new Error(`Unknown key "${key}" in ${where}`);
+    }
+  }
+  if (value.hosts !== undefined && (!Array.isArray(value.hosts) || !value.hosts.every(host => typeof host === 'string' && host))) {
+    throw new Error(`${where}.hosts must be an array of host names`);
+  }
+  list('include');
+  list('exclude');
+  for (const key of ['minSize', 'minScore']) {
+    if (value[key] !== undefined && !Number.isFinite(value[key])) throw new Error(`${where}.${key} must be a number`);
+  }
+  if (value.inherit !== undefined && typeof value.inherit !== 'boolean') {
+    throw new Error(`${where}.inherit must be a boolean`);
+  }
+  if (value.rules !== undefined) {
+    if (!Array.isArray(value.rules)) throw new Error(`${where}.rules must be an array`);
+    value.rules.forEach((rule, index) => {
+      const key = `${where}.rules[${index}]`;
+      if (!rule || typeof rule !== 'object') throw new Error(`${key} must be an object { name, pattern, weight }`);
+      if (typeof rule.name !== 'string' || !rule.name) throw new Error(`${key}.name must be a non-empty string`);
+      pattern(rule.pattern, `${key}.pattern`);
+      if (!Number.isFinite(rule.weight)) throw new Error(`${key}.weight must be a number`);
+    });
+  }
+  if (value.sites !== undefined) {
+    if (!value.sites || typeof value.sites !== 'object' || Array.isArray(value.sites)) {
+      throw new Error(`${where}.sites must map adapter names to rules`);
+    }
+    for (const [site, rules] of Object.entries(value.sites)) {
+      validateImageRules(rules, `${where}.sites.${site}`);
+    }
+  }
+  return value;
+}
+
+/**
+ * Lay `override` over `base`: hosts, include, minSize and minScore replace
+ * the base values, exclude patterns and rules are added (a rule replaces the
+ * base rule of the same name, so a weight of 0 turns it off). With
+ * `inherit: false` the base is ignored, down to the common exclusions.
+ */
+function mergeImageRules(base, override) {
+  if (!override) return base;
+  const start = override.inherit === false ? NO_RULES : base;
+  const overridden = new Set((override.rules || []).map(rule => rule.name));
+  return {
+    hosts: override.hosts ?? start.hosts,
+    include: override.include ?? start.include,
+    exclude: [...start.exclude, ...(override.exclude || [])],
+    minSize: override.minSize ?? start.minSize,
+    rules: [...start.rules.filter(rule => !overridden.has(rule.name)), ...(override.rules || [])],
+    minScore: override.minScore ?? start.minScore,
+  };
+}
+
+class ImageRules {
+  /**
+   * @param {object} [definition] - { hosts, include, exclude, minSize, rules, minScore }
+   * @param {object} [options]
+   * @param {number} [options.maxImages] - Images kept per product (0: no limit)
+   */
+  constructor(definition = {}, { maxImages = 0 } = {}) {
+    const merged = mergeImageRules(NO_RULES, definition);
+    this.hosts = merged.hosts;
+    this.include = merged.include.map(compilePattern);
+    this.exclude = merged.exclude.map(compilePattern);
+    this.minSize = merged.minSize;
+    this.rules = merged.rules.map(rule => ({ ...rule, pattern: compilePattern(rule.pattern) }));
+    this.minScore = merged.minScore;
+    this.maxImages = maxImages;
+  }
+
+  /**
+   * The rules of a site: the adapter's defaults, then the imageRules option,
+   * then its `sites.<adapter name>` entry.
+   */
+  static forAdapter(adapter, imageRules = {}, options = {}) {
+    const { sites = {}, ...global } = imageRules || {};
+    const defaults = mergeImageRules(DEFAULT_IMAGE_RULES, adapter.imageRules);
+    return new ImageRules(mergeImageRules(mergeImageRules(defaults, global), sites[adapter.name]), options);
+  }
+
+  /**
+   * Run the filters on an image URL: { kept, reasons }, the reasons saying
+   * which filters dropped it. minSize applies to `sizeUrl`, the URL that
+   * will be downloaded when it is not `url` itself (the original upload a
+   * thumbnail stands for).
+   */
+  check(url, sizeUrl = url) {
+    const reasons = [];
+    const host = hostOf(url);
+    if (this.hosts.length > 0 && !this.hosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`))) {
+      reasons.push(`host ${host || '(none)'} is not one of ${this.hosts.join(', ')}`);
+    }
+    if (this.include.length > 0 && !this.include.some(pattern => pattern.test(url))) {
+      reasons.push('matches no include pattern');
+    }
+    const excluded = this.exclude.find(pattern => pattern.test(url));
+    if (excluded) reasons.push(`matches exclude ${excluded}`);
+    const size = sizeSuffix(sizeUrl);
+    if (size !== null && size < this.minSize) reasons.push(`size ${size} is below minSize ${this.minSize}`);
+    return { kept: reasons.length === 0, reasons };
+  }
+
+  accepts(url) {
+    return this.check(url).kept;
+  }
+
+  // Sum of the weights of the rules the URL matches, and which ones they were
+  score(url) {
+    const matched = this.rules.filter(rule => rule.pattern.test(url));
+    return {
+      score: matched.reduce((sum, rule) => sum + rule.weight, 0),
+      reasons: matched.map(rule => `${rule.weight >= 0 ? '+' : ''}${rule.weight} ${rule.name}`),
+    };
+  }
+
+  /**
+   * Product images out of everything intercepted, for when none could be
+   * tied to the product ID: the URLs passing the filters that score at least
+   * minScore, best first. When none reach it, every URL passing the filters.
+   * `record(url, decision)` is told about each URL.
+   */
+  select(urls, record = () => {}) {
+    const candidates = [];
+    for (const url of new Set(urls)) {
+      const check = this.check(url);
+      if (!check.kept) {
+        record(url, { kept: false, score: null, reasons: check.reasons });
+        continue;
+      }
+      candidates.push({ url, ...this.score(url) });
+    }
+
+    const passing = candidates.filter(candidate => candidate.score >= this.minScore);
+    const fallback = passing.length === 0;
+    for (const candidate of candidates) {
+      const kept = fallback || candidate.score >= this.minScore;
+      const reasons = [...candidate.reasons];
+      if (!kept) reasons.push(`score ${candidate.score} is below minScore ${this.minScore}`);
+      if (fallback && candidate.score < this.minScore) reasons.push(`no image reached minScore ${this.minScore}`);
+      record(candidate.url, { kept, score: candidate.score, reasons });
+    }
+    return (fallback ? candidates : passing)
+      .sort((a, b) => b.score - a.score)
+      .map(candidate => candidate.url);
+  }
+
+  /**
+   * At most maxImages of the URLs: the best scoring ones, earlier URLs
+   * winning ties. Their order is kept.
+   */
+  cap(urls, record = () => {}) {
+    if (!this.maxImages || urls.length <= this.maxImages) return urls;
+    const kept = new Set(urls
+      .map((url, index) => ({ url, index, score: this.score(url).score }))
+      .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+      .slice(0, this.maxImages)
+      .map(item => item.url));
+    for (const url of urls) {
+      if (!kept.has(url)) record(url, { kept: false, score: this.score(url).score, reasons: [`beyond maxImages ${this.maxImages}`] });
+    }
+    return urls.filter(url => kept.has(url));
+  }
+
+  /**
+   * What the rules make of a list of image URLs, as if they were everything
+   * a product page loaded: [{ url, kept, stage, score, reasons }], in the
+   * order given. `stage` is where a dropped URL was dropped.
+   */
+  explain(urls) {
+    const decisions = new Map();
+    const record = stage => (url, decision) => decisions.set(url, { url, stage, ...decision });
+    this.cap(this.select(urls, record('select')), record('cap'));
+    return Array.from(new Set(urls), url => decisions.get(url));
+  }
+
+  // The rules as configured, for explanations
+  describe() {
+    return {
+      hosts: this.hosts,
+      include: this.include.map(String),
+      exclude: this.exclude.map(String),
+      minSize: this.minSize,
+      rules: this.rules.map(rule => ({ name: rule.name, pattern: String(rule.pattern), weight: rule.weight })),
+      minScore: this.minScore,
+      maxImages: this.maxImages,
+    };
+  }
+}
+
+export { ImageRules, COMMON_EXCLUDE_PATTERNS, DEFAULT_IMAGE_RULES, validateImageRules };
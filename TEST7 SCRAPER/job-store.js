@@ -0,0 +1,247 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isRecoverable } from './page-state.js';
+
+// Persistent job store: an append-only JSONL journal with one event per line
+// (queued, started, done, failed, reset). Replaying it gives every URL's
+// status, attempts, last error and result, so a batch that was interrupted
+// resumes where it stopped instead of starting over.
+
+const JOB_FILE = 'jobs.jsonl';
+
+// pending: queued, not started yet
+// running: started; after a crash it stays "running" and is picked up again
+// done / failed: finished in an earlier attempt
+const JOB_STATUSES = ['pending', 'running', 'done', 'failed'];
+
+function newJob(url) {
+  return {
+    url,
+    status: 'pending',
+    attempts: 0,
+    reason: null,
+    lastError: null,
+    result: null,
+    queuedAt: null,
+    startedAt: null,
+    finishedAt: null,
+  };
+}
+
+// Whether the process that wrote a lock file is still alive
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+class JobStore {
+  /**
+   * @param {string} filePath - Journal file, e.g. downloads/jobs.jsonl
+   * @param {object} [options]
+   * @param {number} [options.maxAttempts] - Runs a failed job gets before it is left alone
+   * @param {boolean} [options.retryFailed] - Also retry permanent failures and exhausted jobs
+   */
+  constructor(filePath, { maxAttempts = 3, retryFailed = false } = {}) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.retryFailed = retryFailed;
+    this.jobs = new Map();
+    this.fd = null;
+    this.skippedLines = 0;
+  }
+
+  // Replay the journal. Lines that do not parse (a write cut short by a
+  // crash) are skipped.
+  load() {
+    this.jobs.clear();
+    this.skippedLines = 0;
+    if (!fs.existsSync(this.filePath)) return this;
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        this.skippedLines++;
+        continue;
+      }
+      if (event && typeof event.url === 'string') this.apply(event);
+    }
+    return this;
+  }
+
+  /**
+   * Lock the journal for this process, replay it and compact it to one line
+   * per job. Throws when another live process holds the lock.
+   */
+  open() {
+    fs.ensureDirSync(path.dirname(this.filePath));
+    this.acquireLock();
+    try {
+      this.load();
+      this.compact();
+      this.fd = fs.openSync(this.filePath, 'a');
+    } catch (error) {
+      this.releaseLock();
+      throw error;
+    }
+    return this;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+    this.releaseLock();
+  }
+
+  // PID of the process holding the lock, or null when the journal is free
+  lockOwner() {
+    if (!fs.existsSync(this.lockPath)) return null;
+    const pid = Number.parseInt(fs.readFileSync(this.lockPath, 'utf8'), 10);
+    return Number.isInteger(pid) && isRunning(pid) ? pid : null;
+  }
+
+  acquireLock() {
+    try {
+      fs.writeFileSync(this.lockPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      const owner = this.lockOwner();
+      if (owner && owner !== process.pid) {
+        throw new Error(`Job file ${this.filePath} is in use by process ${owner}`);
+      }
+      // Left behind by a run that crashed
+      fs.writeFileSync(this.lockPath, String(process.pid));
+    }
+  }
+
+  releaseLock() {
+    try {
+      if (fs.readFileSync(this.lockPath, 'utf8').trim() === String(process.pid)) {
+        fs.removeSync(this.lockPath);
+      }
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  // Rewrite the journal as one snapshot line per job, through a temporary
+  // file so a crash never loses the old journal
+  compact() {
+    const tempPath = `${this.filePath}.part`;
+    const lines = Array.from(this.jobs.values())
+      .map(job => `${JSON.stringify({ type: 'job', url: job.url, job })}\n`);
+    fs.writeFileSync(tempPath, lines.join(''));
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  apply(event) {
+    const job = this.jobs.get(event.url) || newJob(event.url);
+    switch (event.type) {
+      case 'job':
+        // Snapshot written by compact()
+        Object.assign(job, event.job, { url: event.url });
+        break;
+      case 'queued':
+        job.queuedAt = job.queuedAt || event.at;
+        break;
+      case 'reset':
+        Object.assign(job, newJob(event.url), { queuedAt: event.at });
+        break;
+      case 'started':
+        job.status = 'running';
+        job.attempts++;
+        job.startedAt = event.at;
+        break;
+      case 'done':
+        job.status = 'done';
+        job.reason = null;
+        job.lastError = null;
+        job.result = event.result || null;
+        job.finishedAt = event.at;
+        break;
+      case 'failed':
+        job.status = 'failed';
+        job.reason = event.reason || 'error';
+        job.lastError = event.error || null;
+        job.finishedAt = event.at;
+        break;
+      default:
+        // Written by a newer version; ignore
+        return;
+    }
+    this.jobs.set(event.url, job);
+  }
+
+  // Write events to disk (fsync'd) before applying them in memory
+  append(events) {
+    if (this.fd === null) throw new Error('Job store is not open');
+    const at = new Date().toISOString();
+    const entries = events.map(event => ({ ...event, at }));
+    fs.writeSync(this.fd, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+    fs.fsyncSync(this.fd);
+    entries.forEach(entry => this.apply(entry));
+  }
+
+  get(url) {
+    return this.jobs.get(url) || null;
+  }
+
+  // Record URLs that are not in the journal yet, so status shows them as pending
+  queue(urls) {
+    const fresh = Array.from(new Set(urls)).filter(url => !this.jobs.has(url));
+    if (fresh.length > 0) this.append(fresh.map(url => ({ type: 'queued', url })));
+  }
+
+  // Forget earlier results so the URLs are scraped again
+  reset(urls) {
+    if (urls.length > 0) this.append(urls.map(url => ({ type: 'reset', url })));
+  }
+
+  start(url) {
+    this.append([{ type: 'started', url }]);
+  }
+
+  complete(url, result = null) {
+    this.append([{ type: 'done', url, result }]);
+  }
+
+  fail(url, reason, error = null) {
+    this.append([{ type: 'failed', url, reason, error }]);
+  }
+
+  /**
+   * Whether the URL should be scraped in this run: new, pending and
+   * interrupted jobs always are; done jobs never are; failed jobs are
+   * retried while their reason is recoverable and attempts remain.
+   */
+  shouldRun(url) {
+    const job = this.get(url);
+    if (!job || job.status === 'pending' || job.status === 'running') return true;
+    if (job.status === 'done') return false;
+    if (this.retryFailed) return true;
+    return isRecoverable(job.reason) && job.attempts < this.maxAttempts;
+  }
+
+  // Counts for the status command
+  summary() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    const reasons = {};
+    for (const job of this.jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+      if (job.status === 'failed') reasons[job.reason] = (reasons[job.reason] || 0) + 1;
+    }
+    return { total: this.jobs.size, ...counts, reasons };
+  }
+}
+
+export { JobStore, JOB_FILE, JOB_STATUSES };
@@ -0,0 +1,247 @@
+import fs from 'fs-extra';
+import path from 'path';
+import chalk from 'chalk';
+import { randomUUID } from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Logging to the console and a log file, each with its own minimum level.
+// The file gets one JSON object per line (or the classic text lines), is
+// written in buffered batches off the hot path and rotated by size and, if
+// asked, by day. Every entry carries the run ID of the process and the
+// fields of the current context, e.g. the product being scraped.
+
+// SUCCESS is an INFO message shown in green
+const LEVEL_RANKS = { DEBUG: 10, INFO: 20, SUCCESS: 20, WARNING: 30, ERROR: 40 };
+
+// Minimum levels that can be configured; 'silent' turns an output off
+const LOG_LEVELS = ['debug', 'info', 'warning', 'error', 'silent'];
+const LOG_FORMATS = ['json', 'text'];
+
+const COLORS = {
+  DEBUG: chalk.gray,
+  INFO: chalk.blue,
+  SUCCESS: chalk.green,
+  WARNING: chalk.yellow,
+  ERROR: chalk.red,
+};
+
+// Buffered lines are written after this long, or sooner once this many bytes are waiting
+const FLUSH_INTERVAL = 1000;
+const FLUSH_BYTES = 64 * 1024;
+
+function threshold(level) {
+  return level === 'silent' ? Infinity : LEVEL_RANKS[level.toUpperCase()];
+}
+
+// UTC day, for daily rotation
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+class Logger {
+  /**
+   * Takes the logging keys of the scraper config.
+   *
+   * @param {object} [options]
+   * @param {string|null} [options.logFile] - Log file; null for console only
+   * @param {string} [options.logLevel] - Minimum console level (one of LOG_LEVELS)
+   * @param {string} [options.logFileLevel] - Minimum file level
+   * @param {string} [options.logFormat] - File format, 'json' (JSON lines) or 'text'
+   * @param {number} [options.logMaxSize] - Rotate the file before it grows past this many bytes (0: never)
+   * @param {number} [options.logMaxFiles] - Rotated files kept (scraper.log.1 is the newest)
+   * @param {boolean} [options.logRotateDaily] - Also rotate on the first write of a new (UTC) day
+   */
+  constructor(options = {}) {
+    // Identifies this process's entries among those of earlier runs
+    this.runId = randomUUID().slice(0, 8);
+    this.context = new AsyncLocalStorage();
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    this.timer = null;
+    // Chain of file writes, so batches land in order
+    this.writing = Promise.resolve();
+    // Size and day of the current file, read on the first write
+    this.size = null;
+    this.day = null;
+
+    this.file = null;
+    this.configure({
+      logFile: null,
+      logLevel: 'info',
+      logFileLevel: 'debug',
+      logFormat: 'json',
+      logMaxSize: 10 * 1024 * 1024,
+      logMaxFiles: 5,
+      logRotateDaily: false,
+      ...options,
+    });
+
+    // Lines still buffered when the process exits are written synchronously
+    process.once('exit', () => this.flushSync());
+  }
+
+  // Apply (a subset of) the logging options, e.g. once the CLI has read its flags
+  configure({ logFile, logLevel, logFileLevel, logFormat, logMaxSize, logMaxFiles, logRotateDaily } = {}) {
+    if (logFile !== undefined && logFile !== this.file) {
+      // Lines logged so far belong to the previous file
+      this.flushSync();
+      this.file = logFile;
+      this.size = null;
+    }
+    if (logLevel !== undefined) this.level = logLevel;
+    if (logFileLevel !== undefined) this.fileLevel = logFileLevel;
+    if (logFormat !== undefined) this.format = logFormat;
+    if (logMaxSize !== undefined) this.maxSize = logMaxSize;
+    if (logMaxFiles !== undefined) this.maxFiles = logMaxFiles;
+    if (logRotateDaily !== undefined) this.rotateDaily = logRotateDaily;
+  }
+
+  /**
+   * Run `fn` with `fields` added to every entry logged inside it, across
+   * awaits, e.g. { productUrl, correlationId } around one product's scrape.
+   * Contexts nest; inner fields win.
+   */
+  withContext(fields, fn) {
+    return this.context.run({ ...this.context.getStore(), ...fields }, fn);
+  }
+
+  // Add fields to the current context, e.g. the product ID once it is known
+  addContext(fields) {
+    const store = this.context.getStore();
+    if (store) Object.assign(store, fields);
+  }
+
+  log(level, message, data = null) {
+    const rank = LEVEL_RANKS[level];
+    const toConsole = rank >= threshold(this.level);
+    const toFile = Boolean(this.file) && rank >= threshold(this.fileLevel);
+    if (!toConsole && !toFile) return;
+
+    if (toConsole) {
+      console.log(COLORS[level](`[${level}] ${message}`));
+      if (data) console.log(chalk.gray(JSON.stringify(data, null, 2)));
+    }
+    if (toFile) {
+      const time = new Date().toISOString();
+      const context = this.context.getStore();
+      if (this.format === 'text') {
+        const fields = { ...context, ...data };
+        const details = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+        this.write(`[${time}] [${level}] ${message}${details}\n`);
+      } else {
+        this.write(`${JSON.stringify({
+          time,
+          level: level.toLowerCase(),
+          runId: this.runId,
+          ...context,
+          message,
+          ...(data ? { data } : {}),
+        })}\n`);
+      }
+    }
+  }
+
+  info(message, data) { this.log('INFO', message, data); }
+  success(message, data) { this.log('SUCCESS', message, data); }
+  warning(message, data) { this.log('WARNING', message, data); }
+  error(message, data) { this.log('ERROR', message, data); }
+  debug(message, data) { this.log('DEBUG', message, data); }
+
+  write(line) {
+    this.buffer.push(line);
+    this.bufferedBytes += Buffer.byteLength(line);
+    if (this.bufferedBytes >= FLUSH_BYTES) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), FLUSH_INTERVAL);
+      // A pending flush never keeps the process alive; the exit handler writes the rest
+      this.timer.unref();
+    }
+  }
+
+  takeBuffer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const chunk = this.buffer.join('');
+    this.buffer = [];
+    this.bufferedBytes = 0;
+    return chunk;
+  }
+
+  /**
+   * Write the buffered lines. Resolves once they and every earlier batch are
+   * in the file. A failing write is reported on the console, not thrown.
+   */
+  flush() {
+    const chunk = this.takeBuffer();
+    if (!chunk) return this.writing;
+    const file = this.file;
+    this.writing = this.writing
+      .then(() => this.append(file, chunk))
+      .catch((error) => {
+        console.error(chalk.red(`Could not write log file ${file}: ${error.message}`));
+      });
+    return this.writing;
+  }
+
+  // Last resort at exit or when switching files; no rotation
+  flushSync() {
+    const chunk = this.takeBuffer();
+    if (!chunk || !this.file) return;
+    try {
+      fs.ensureDirSync(path.dirname(this.file));
+      fs.appendFileSync(this.file, chunk);
+      if (this.size !== null) this.size += Buffer.byteLength(chunk);
+    } catch (error) {
+      console.error(chalk.red(`Could not write log file ${this.file}: ${error.message}`));
+    }
+  }
+
+  async append(file, chunk) {
+    const bytes = Buffer.byteLength(chunk);
+    const today = dayOf(new Date());
+    if (this.size === null) {
+      await fs.ensureDir(path.dirname(file));
+      try {
+        const stat = await fs.stat(file);
+        this.size = stat.size;
+        this.day = dayOf(stat.mtime);
+      } catch (error) {
+        this.size = 0;
+        this.day = today;
+      }
+    }
+
+    const full = this.maxSize > 0 && this.size + bytes > this.maxSize;
+    const stale = this.rotateDaily && this.day !== today;
+    if (this.size > 0 && (full || stale)) await this.rotate(file);
+
+    await fs.appendFile(file, chunk);
+    this.size += bytes;
+    this.day = today;
+  }
+
+  // scraper.log -> scraper.log.1 -> scraper.log.2 ...; the oldest beyond
+  // logMaxFiles is deleted
+  async rotate(file) {
+    await fs.remove(`${file}.${this.maxFiles}`);
+    for (let n = this.maxFiles - 1; n >= 1; n--) {
+      if (await fs.pathExists(`${file}.${n}`)) await fs.move(`${file}.${n}`, `${file}.${n + 1}`, { overwrite: true });
+    }
+    if (this.maxFiles > 0) {
+      await fs.move(file, `${file}.1`, { overwrite: true });
+    } else {
+      await fs.remove(file);
+    }
+    this.size = 0;
+  }
+
+  // Write everything still buffered; call before the process ends
+  async close() {
+    await this.flush();
+  }
+}
+
+export { Logger, LOG_LEVELS, LOG_FORMATS };
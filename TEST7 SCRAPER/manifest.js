@@ -0,0 +1,120 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { inspectImage } from './image-info.js';
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Build the provenance manifest for one scraped product.
+ *
+ * @param {object} params
+ * @param {string} params.productDir - Folder the images were saved to
+ * @param {string} params.productUrl - Product page that was scraped
+ * @param {Array} params.downloads - Records from ImageDownloader.downloadImages()
+ * @param {Array} params.failed - Images that could not be downloaded
+ * @param {Array} [params.duplicates] - Images removed as copies of another, from ImageDownloader.removeDuplicates()
+ * @param {ImageUrlExtractor} params.extractor - Extractor holding the image sources
+ * @param {ImageRoleClassifier} [params.classifier] - Classifier holding the image roles
+ * @param {object} [params.productData] - Structured data from ProductDataExtractor
+ * @param {Array} [params.variants] - SKU variants with their downloaded files
+ * @param {Array} [params.videos] - Results from VideoDownloader.downloadAll()
+ * @param {object} [params.description] - Saved description from AlibabaImageScraper.saveDescription()
+ * @param {Array} [params.processed] - Derived files from ImagePostProcessor.processAll(), or null
+ */
+async function buildManifest({ productDir, productUrl, productId, productName, scrapedAt, downloads, failed = [], duplicates = [], extractor, classifier = null, productData = null, variants = [], videos = [], description = null, processed = null }) {
+  const images = [];
+
+  for (const download of downloads) {
+    const info = await inspectImage(download.filePath);
+    const source = extractor.getSource(download.url);
+    const role = classifier ? classifier.classify(download.url).role : 'unknown';
+
+    images.push({
+      index: download.index,
+      role,
+      path: path.relative(productDir, download.filePath),
+      originalUrl: source ? source.originalUrl : download.url,
+      url: download.url,
+      // The rendition actually downloaded; null when the file was already on disk
+      fetchedUrl: download.fetchedUrl || null,
+      source: source
+        ? { type: source.type, url: source.sourceUrl }
+        : { type: 'unknown', url: null },
+      bytes: info.bytes,
+      // Prefer what the server said; fall back to the sniffed type for files
+      // that were already on disk from an earlier run
+      contentType: download.contentType || info.contentType,
+      width: info.width,
+      height: info.height,
+      sha256: info.sha256,
+    });
+  }
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    productId,
+    productName,
+    productUrl,
+    scrapedAt,
+    product: productData,
+    images,
+    variants: variants.map(variant => ({
+      label: variant.label,
+      properties: variant.properties,
+      images: variant.images,
+      files: variant.files.map(filePath => path.relative(productDir, filePath)),
+      // Failed and duplicate images have no file, so files and images do not line up
+      downloads: variant.downloads.map(download => ({ url: download.url, path: path.relative(productDir, download.filePath) })),
+    })),
+    videos: videos.map(video => ({
+      url: video.url,
+      type: video.type,
+      quality: video.quality,
+      source: video.source,
+      renditions: video.renditions,
+      path: video.file ? path.relative(productDir, video.file) : null,
+      posterUrl: video.poster,
+      posterPath: video.posterFile ? path.relative(productDir, video.posterFile) : null,
+      error: video.error,
+    })),
+    description: description
+      ? {
+        sourceUrl: description.sourceUrl,
+        html: path.relative(productDir, description.html),
+        markdown: path.relative(productDir, description.markdown),
+        images: description.images,
+        files: description.files.map(filePath => path.relative(productDir, filePath)),
+      }
+      : null,
+    processed,
+    failed,
+    duplicates: duplicates.map(duplicate => ({
+      url: duplicate.url,
+      index: duplicate.index,
+      duplicateOf: duplicate.duplicateOf,
+      path: path.relative(productDir, duplicate.filePath),
+      match: duplicate.match,
+      distance: duplicate.distance,
+    })),
+  };
+}
+
+// Write through a temporary file so a crash never leaves a half-written manifest
+async function writeManifest(productDir, manifest) {
+  const manifestPath = path.join(productDir, MANIFEST_FILE);
+  const tempPath = `${manifestPath}.part`;
+
+  await fs.ensureDir(productDir);
+  await fs.writeJson(tempPath, manifest, { spaces: 2 });
+  await fs.rename(tempPath, manifestPath);
+  return manifestPath;
+}
+
+async function readManifest(productDir) {
+  const manifestPath = path.join(productDir, MANIFEST_FILE);
+  if (!await fs.pathExists(manifestPath)) return null;
+  return fs.readJson(manifestPath);
+}
+
+export { buildManifest, writeManifest, readManifest, MANIFEST_FILE };
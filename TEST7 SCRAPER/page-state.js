@@ -0,0 +1,151 @@
+// Page state detection: tells captcha ("punish") pages, login walls, removed
+// listings and region redirects apart from real product pages, so failures
+// carry a typed reason instead of all looking like "No images found".
+
+// Every reason a scrape can fail with
+const FAILURE_REASONS = [
+  'captcha',          // Slider captcha / anti-bot "punish" page
+  'blocked',          // HTTP 403, 407 or 429
+  'login-required',   // Redirected to a sign-in page
+  'region-redirect',  // Sent to another regional site
+  'not-found',        // Listing removed, offline or never existed
+  'timeout',          // Navigation or page timed out
+  'network',          // Proxy or connection failure
+  'no-images',        // Page loaded but no product images were found
+  'error',            // Anything else
+  'cancelled',        // Batch cancelled before the product was started
+  'not-recorded',     // Replay mode: no recording of the URL
+];
+
+// Worth another attempt, in a fresh browser context (and on another proxy)
+const RECOVERABLE_REASONS = ['captcha', 'blocked', 'login-required', 'region-redirect', 'timeout', 'network', 'error'];
+
+// Caused by the IP or connection rather than the page; counted against the proxy
+const PROXY_REASONS = ['captcha', 'blocked', 'login-required', 'region-redirect', 'timeout', 'network'];
+
+const CAPTCHA_URL = /_____tmd_____|\/punish\b|x5secdata|captcha/i;
+const LOGIN_URL = /^(?:login|passport|accounts?)\.|\/newlogin\/|\/login\.htm/i;
+
+// Markers checked in the page. Alibaba.com, 1688 and AliExpress share the
+// same anti-bot and sign-in front ends.
+const PAGE_MARKERS = {
+  captcha: '#nocaptcha, .nc-container, #nc_1_n1z, #baxia-punish, .baxia-dialog, iframe[src*="punish"], iframe[src*="captcha"]',
+  captchaText: /slide to verify|please slide|unusual traffic|verify you are human|滑动验证|访问验证/i,
+  login: '#fm-login-id, #login-form, .fm-login, iframe[src*="passport."], iframe[src*="/newlogin/"]',
+  notFoundText: [
+    /no longer available/i,
+    /has been removed/i,
+    /product (?:is )?not found/i,
+    /page you requested (?:can ?not|could not) be found/i,
+    /offer has been (?:offline|removed)/i,
+    /商品已下架|商品不存在|该商品已失效/,
+  ],
+};
+
+class PageStateError extends Error {
+  constructor(reason, message, status = null) {
+    super(message);
+    this.name = 'PageStateError';
+    this.reason = reason;
+    this.status = status;
+  }
+}
+
+// "www.aliexpress.com" -> "aliexpress.com"
+function baseDomain(hostname) {
+  return hostname.split('.').slice(-2).join('.');
+}
+
+// Runs in the page. Only the title and the start of the text are read, so a
+// product description mentioning "no longer available" does not count.
+function readPageState(selectors) {
+  const visible = (selector) => Array.from(document.querySelectorAll(selector))
+    .some(element => element.getClientRects().length > 0);
+  return {
+    title: document.title || '',
+    text: (document.body?.innerText || '').slice(0, 3000),
+    captcha: visible(selectors.captcha),
+    login: visible(selectors.login),
+  };
+}
+
+/**
+ * Classify the page after navigation. Resolves to a PageStateError for
+ * captcha, block, login, not-found and region-redirect pages, or null for
+ * what looks like a real product page.
+ *
+ * @param {Page} page
+ * @param {Response|null} response - Result of page.goto()
+ * @param {string} requestedUrl - The product URL that was requested
+ * @param {SiteAdapter} [adapter] - Used to tell product pages from redirects
+ */
+async function detectPageState(page, response, requestedUrl, adapter = null) {
+  const status = response ? response.status() : null;
+  const finalUrl = page.url();
+  let final;
+  let requested;
+  try {
+    final = new URL(finalUrl);
+    requested = new URL(requestedUrl);
+  } catch (error) {
+    return null;
+  }
+
+  let state = { title: '', text: '', captcha: false, login: false };
+  try {
+    state = await page.evaluate(readPageState, { captcha: PAGE_MARKERS.captcha, login: PAGE_MARKERS.login });
+  } catch (error) {
+    // Page navigated while being read; URL and status checks still apply
+  }
+
+  if (CAPTCHA_URL.test(finalUrl) || state.captcha || PAGE_MARKERS.captchaText.test(state.title) ||
+      (state.text.length < 500 && PAGE_MARKERS.captchaText.test(state.text))) {
+    return new PageStateError('captcha', `Captcha page served: ${finalUrl}`, status);
+  }
+  if (LOGIN_URL.test(final.hostname) || LOGIN_URL.test(final.pathname) || state.login) {
+    return new PageStateError('login-required', `Login required: ${finalUrl}`, status);
+  }
+  if ([403, 407, 429].includes(status)) {
+    return new PageStateError('blocked', `Blocked with HTTP ${status}`, status);
+  }
+  if ([404, 410].includes(status)) {
+    return new PageStateError('not-found', `Product page returned HTTP ${status}`, status);
+  }
+  if (PAGE_MARKERS.notFoundText.some(pattern => pattern.test(state.title) || pattern.test(state.text))) {
+    return new PageStateError('not-found', 'Product is no longer available', status);
+  }
+  if (baseDomain(final.hostname) !== baseDomain(requested.hostname)) {
+    return new PageStateError('region-redirect', `Redirected to another site: ${final.hostname}`, status);
+  }
+
+  // Sent from a product URL to a page without a product ID (home, search)
+  if (adapter && adapter.parseProductId(requestedUrl) && !adapter.parseProductId(finalUrl)) {
+    return new PageStateError('not-found', `Redirected away from the product page: ${finalUrl}`, status);
+  }
+
+  return null;
+}
+
+// Typed reason for anything thrown while scraping
+function failureReason(error) {
+  if (error instanceof PageStateError) return error.reason;
+  if (error.name === 'TimeoutError' || /timeout/i.test(error.message)) return 'timeout';
+  if (/net::ERR_(?:PROXY|TUNNEL|CONNECTION|TIMED_OUT|EMPTY_RESPONSE|SOCKS|NAME_NOT_RESOLVED|INTERNET_DISCONNECTED)/.test(error.message)) {
+    return 'network';
+  }
+  return 'error';
+}
+
+function isRecoverable(reason) {
+  return RECOVERABLE_REASONS.includes(reason);
+}
+
+export {
+  PageStateError,
+  detectPageState,
+  failureReason,
+  isRecoverable,
+  FAILURE_REASONS,
+  RECOVERABLE_REASONS,
+  PROXY_REASONS,
+};
@@ -0,0 +1,214 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+import { loadSharp } from './image-info.js';
+
+// Post-processing of downloaded images: format conversion, a cap on the
+// dimensions, metadata stripping, trimming of uniform borders and
+// thumbnails. Originals are left untouched; derived files go to processed/
+// and thumbnails/<size>/ in the product folder, mirroring the originals'
+// paths (sku/Color=Red/Product_0.jpg -> processed/sku/Color=Red/Product_0.jpg).
+// The settings they were rendered with are kept next to them in
+// processed/.settings.json, so a change of settings renders them again.
+
+const PROCESSED_DIR = 'processed';
+const THUMBNAILS_DIR = 'thumbnails';
+const SETTINGS_FILE = path.join(PROCESSED_DIR, '.settings.json');
+
+const OUTPUT_FORMATS = ['original', 'jpeg', 'png', 'webp', 'avif'];
+
+const EXTENSIONS = { jpeg: '.jpg', png: '.png', webp: '.webp', avif: '.avif', gif: '.gif' };
+
+function replaceExtension(filePath, extension) {
+  return filePath.slice(0, filePath.length - path.extname(filePath).length) + extension;
+}
+
+// Whether `target` exists and was written after `source` changed
+async function isUpToDate(target, sourceStat) {
+  try {
+    return (await fs.stat(target)).mtimeMs >= sourceStat.mtimeMs;
+  } catch (error) {
+    return false;
+  }
+}
+
+class ImagePostProcessor {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.format] - One of OUTPUT_FORMATS; 'original' keeps each file's format
+   * @param {number} [options.quality] - JPEG, WebP and AVIF quality (1-100)
+   * @param {number} [options.maxWidth] - Longest width of processed images (0: no limit)
+   * @param {number} [options.maxHeight] - Longest height of processed images (0: no limit)
+   * @param {number[]} [options.thumbnails] - Thumbnail sizes, as the longest edge in pixels
+   * @param {boolean} [options.stripMetadata] - Drop EXIF, ICC and XMP data (orientation is applied first)
+   * @param {boolean} [options.trim] - Cut uniform borders (white or flat-colour padding)
+   * @param {string} [options.background] - Fill for transparent areas when converting to JPEG
+   */
+  constructor({
+    format = 'jpeg',
+    quality = 85,
+    maxWidth = 0,
+    maxHeight = 0,
+    thumbnails = [],
+    stripMetadata = true,
+    trim = false,
+    background = '#ffffff',
+  } = {}) {
+    this.format = format;
+    this.quality = quality;
+    this.maxWidth = maxWidth;
+    this.maxHeight = maxHeight;
+    this.thumbnails = Array.from(new Set(thumbnails)).sort((a, b) => a - b);
+    this.stripMetadata = stripMetadata;
+    this.trim = trim;
+    this.background = background;
+  }
+
+  // Everything that shapes a derived file. Thumbnail sizes are left out: each
+  // size has its own folder, and a new size finds its folder empty.
+  settings() {
+    return {
+      format: this.format,
+      quality: this.quality,
+      maxWidth: this.maxWidth,
+      maxHeight: this.maxHeight,
+      stripMetadata: this.stripMetadata,
+      trim: this.trim,
+      background: this.background,
+    };
+  }
+
+  // Whether the derived files of a product were rendered with other settings
+  async settingsChanged(productDir) {
+    const previous = await fs.readJson(path.join(productDir, SETTINGS_FILE)).catch(() => null);
+    return !isDeepStrictEqual(previous, this.settings());
+  }
+
+  // Apply the output format and its encoder settings to a sharp pipeline
+  encode(image, format) {
+    switch (format) {
+      case 'jpeg':
+        return image.flatten({ background: this.background }).jpeg({ quality: this.quality, mozjpeg: true });
+      case 'png':
+        return image.png({ compressionLevel: 9 });
+      case 'webp':
+        return image.webp({ quality: this.quality });
+      case 'avif':
+        return image.avif({ quality: this.quality });
+      default:
+        return image.toFormat(format);
+    }
+  }
+
+  async render(sharp, sourcePath, targetPath, format, { maxWidth, maxHeight, trim }) {
+    // Auto-orient before the EXIF orientation is dropped with the metadata
+    let image = sharp(sourcePath, { animated: false }).rotate();
+    if (trim) image = image.trim();
+    if (maxWidth || maxHeight) {
+      image = image.resize({
+        width: maxWidth || null,
+        height: maxHeight || null,
+        fit: 'inside',
+        withoutEnlargement: true,
+      });
+    }
+    if (!this.stripMetadata) image = image.keepMetadata();
+
+    const tempPath = `${targetPath}.part`;
+    await fs.ensureDir(path.dirname(targetPath));
+    const info = await this.encode(image, format).toFile(tempPath);
+    await fs.rename(tempPath, targetPath);
+    return { width: info.width, height: info.height, bytes: info.size };
+  }
+
+  // Dimensions of a derived file written by an earlier run
+  async describe(sharp, filePath) {
+    const [metadata, stat] = await Promise.all([sharp(filePath).metadata(), fs.stat(filePath)]);
+    return { width: metadata.width, height: metadata.height, bytes: stat.size };
+  }
+
+  /**
+   * Derive the processed image and its thumbnails from one original.
+   * Files that are newer than the original are kept from an earlier run,
+   * unless `force` is set. Resolves to { source, path, width, height, bytes, thumbnails: [{ size,
+   * path, width, height, bytes }] } with paths relative to the product folder.
+   */
+  async process(productDir, filePath, { force = false } = {}) {
+    const sharp = await loadSharp('Image post-processing');
+    const source = path.relative(productDir, filePath);
+    const sourceStat = await fs.stat(filePath);
+
+    let format = this.format;
+    if (format === 'original') {
+      format = (await sharp(filePath).metadata()).format;
+    }
+    const relativeTarget = replaceExtension(source, EXTENSIONS[format] || `.${format}`);
+
+    const targetPath = path.join(productDir, PROCESSED_DIR, relativeTarget);
+    const processed = !force && await isUpToDate(targetPath, sourceStat)
+      ? await this.describe(sharp, targetPath)
+      : await this.render(sharp, filePath, targetPath, format, {
+        maxWidth: this.maxWidth,
+        maxHeight: this.maxHeight,
+        trim: this.trim,
+      });
+
+    // Thumbnails are cut from the processed image, so they share its crop and format
+    const thumbnails = [];
+    for (const size of this.thumbnails) {
+      const thumbnailPath = path.join(productDir, THUMBNAILS_DIR, String(size), relativeTarget);
+      const thumbnail = !force && await isUpToDate(thumbnailPath, sourceStat)
+        ? await this.describe(sharp, thumbnailPath)
+        : await this.render(sharp, targetPath, thumbnailPath, format, { maxWidth: size, maxHeight: size, trim: false });
+      thumbnails.push({ size, path: path.relative(productDir, thumbnailPath), ...thumbnail });
+    }
+
+    return { source, path: path.relative(productDir, targetPath), ...processed, thumbnails };
+  }
+
+  /**
+   * Process every original of a product. Failures are recorded per image
+   * ({ source, error }) rather than thrown. Derived files whose original is
+   * no longer among `files` are removed, and every file is rendered again
+   * when the settings differ from those of the previous run.
+   */
+  async processAll(productDir, files, logger = null) {
+    const force = await this.settingsChanged(productDir);
+    const results = [];
+    for (const filePath of files) {
+      try {
+        results.push(await this.process(productDir, filePath, { force }));
+      } catch (error) {
+        if (logger) logger.warning('Could not post-process image', { file: filePath, error: error.message });
+        results.push({ source: path.relative(productDir, filePath), error: error.message });
+      }
+    }
+
+    await this.prune(productDir, results);
+    // Written last: files rendered before an interruption are rendered again
+    if (results.some(result => result.path)) {
+      await fs.outputJson(path.join(productDir, SETTINGS_FILE), this.settings(), { spaces: 2 });
+    }
+    return results;
+  }
+
+  // Remove derived files left from images that were archived or deduplicated
+  async prune(productDir, results) {
+    const produced = new Set([path.join(productDir, SETTINGS_FILE)]);
+    for (const result of results) {
+      if (result.path) produced.add(path.join(productDir, result.path));
+      for (const thumbnail of result.thumbnails || []) produced.add(path.join(productDir, thumbnail.path));
+    }
+
+    for (const dir of [PROCESSED_DIR, THUMBNAILS_DIR]) {
+      const root = path.join(productDir, dir);
+      if (!await fs.pathExists(root)) continue;
+      for (const entry of await fs.readdir(root, { recursive: true, withFileTypes: true })) {
+        const entryPath = path.join(entry.parentPath || entry.path, entry.name);
+        if (entry.isFile() && !produced.has(entryPath)) await fs.remove(entryPath);
+      }
+    }
+  }
+}
+
+export { ImagePostProcessor, OUTPUT_FORMATS, PROCESSED_DIR, THUMBNAILS_DIR };
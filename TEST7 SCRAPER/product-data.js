@@ -0,0 +1,304 @@
+import { alibabaAdapter } from './site-adapters.js';
+
+// Structured product data (title, prices, MOQ, supplier, attributes,
+// categories) from the intercepted product JSON, with DOM fallbacks.
+// Which endpoints, page globals and title selectors to use comes from the
+// site adapter.
+
+const MAX_DEPTH = 12;
+
+const FIELD_KEYS = {
+  title: ['subject', 'productTitle', 'productName', 'title'],
+  moq: ['moq', 'minOrderQuantity', 'minOrder', 'minOrderQty'],
+  unit: ['unit', 'unitName', 'packageUnit', 'measureUnit', 'unitType'],
+  currency: ['currency', 'currencyCode', 'currencyType'],
+  supplierName: ['companyName', 'supplierName', 'company'],
+  supplierYears: ['supplierYear', 'supplierYears', 'companyJoinYears', 'goldSupplierYears', 'joinYears'],
+  supplierLocation: ['companyRegion', 'supplierLocation', 'companyLocation', 'countryName', 'location'],
+  priceTiers: ['ladderPrice', 'ladderPrices', 'ladderPeriodList', 'priceList', 'priceTiers', 'tieredPrice'],
+  attributes: ['productBasicProperties', 'productKeyIndustryProperties', 'productOtherProperties', 'productProps', 'attributes', 'specifications'],
+  categories: ['breadcrumbs', 'breadcrumb', 'categoryPath', 'categoryList'],
+};
+
+// Parse a response body that may be JSON or JSONP (mtop wraps JSON in a callback)
+function parseJsonLike(body) {
+  if (typeof body !== 'string') return body;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    const jsonp = /^\s*[\w$.]+\s*\(([\s\S]*)\)\s*;?\s*$/.exec(body);
+    if (!jsonp) return null;
+    try {
+      return JSON.parse(jsonp[1]);
+    } catch (innerError) {
+      return null;
+    }
+  }
+}
+
+// Depth-first search for the first usable value stored under any of `keys`
+function findValue(data, keys, accept, depth = 0) {
+  if (!data || typeof data !== 'object' || depth > MAX_DEPTH) return undefined;
+
+  if (!Array.isArray(data)) {
+    for (const key of keys) {
+      if (key in data && accept(data[key])) return data[key];
+    }
+  }
+
+  for (const value of Object.values(data)) {
+    const found = findValue(value, keys, accept, depth + 1);
+    if (found !== undefined) return found;
+  }
+  return undefined;
+}
+
+// Every value stored under one of `keys`, anywhere in the tree
+function findAllValues(data, keys, accept, depth = 0, results = []) {
+  if (!data || typeof data !== 'object' || depth > MAX_DEPTH) return results;
+
+  for (const [key, value] of Object.entries(data)) {
+    if (!Array.isArray(data) && keys.includes(key) && accept(value)) {
+      results.push(value);
+    } else {
+      findAllValues(value, keys, accept, depth + 1, results);
+    }
+  }
+  return results;
+}
+
+const isText = value => (typeof value === 'string' && value.trim() !== '') || typeof value === 'number';
+const isObjectArray = value => Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item === 'object');
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function pick(object, keys) {
+  for (const key of keys) {
+    if (object[key] !== undefined && object[key] !== null && object[key] !== '') return object[key];
+  }
+  return null;
+}
+
+function normalizePriceTiers(tiers, currency) {
+  return tiers
+    .map(tier => ({
+      minQuantity: toNumber(pick(tier, ['min', 'minQuantity', 'beginAmount', 'startAmount', 'startQuantity', 'quantityFrom'])),
+      maxQuantity: toNumber(pick(tier, ['max', 'maxQuantity', 'endAmount', 'endQuantity', 'quantityTo'])),
+      price: toNumber(pick(tier, ['price', 'dollarPrice', 'formatPrice', 'priceValue', 'value'])),
+      currency: pick(tier, FIELD_KEYS.currency) || currency || null,
+    }))
+    // A negative or zero upper bound means "and above"
+    .map(tier => (tier.maxQuantity !== null && tier.maxQuantity <= 0 ? { ...tier, maxQuantity: null } : tier))
+    .filter(tier => tier.price !== null);
+}
+
+function normalizeAttributes(lists) {
+  const attributes = [];
+  const seen = new Set();
+
+  for (const list of lists) {
+    for (const item of list) {
+      const name = pick(item, ['attrName', 'name', 'propName', 'key', 'label']);
+      let value = pick(item, ['attrValue', 'value', 'propValue', 'values', 'text']);
+      if (Array.isArray(value)) value = value.join(', ');
+      if (!isText(name) || !isText(value)) continue;
+
+      const key = String(name).trim().toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      attributes.push({ name: String(name).trim(), value: String(value).trim() });
+    }
+  }
+  return attributes;
+}
+
+function normalizeCategories(list) {
+  return list
+    .map(item => ({
+      name: pick(item, ['name', 'title', 'categoryName', 'text']),
+      url: pick(item, ['url', 'link', 'href']),
+    }))
+    .filter(item => isText(item.name))
+    .map(item => ({ name: String(item.name).trim(), url: item.url || null }));
+}
+
+function emptyProductData() {
+  return {
+    title: null,
+    priceTiers: [],
+    moq: null,
+    unit: null,
+    supplier: { name: null, years: null, location: null },
+    attributes: [],
+    categories: [],
+  };
+}
+
+// Pull every known field out of one JSON document. `extraKeys` adds
+// site-specific keys per field, e.g. { supplierName: ['storeName'] }.
+function extractFromData(data, extraKeys = {}) {
+  const result = emptyProductData();
+  if (!data || typeof data !== 'object') return result;
+
+  const fieldKeys = Object.fromEntries(Object.entries(FIELD_KEYS)
+    .map(([field, keys]) => [field, [...keys, ...(extraKeys[field] || [])]]));
+
+  const text = keys => {
+    const value = findValue(data, keys, isText);
+    return value === undefined ? null : String(value).trim();
+  };
+
+  result.title = text(fieldKeys.title);
+  result.moq = toNumber(text(fieldKeys.moq));
+  result.unit = text(fieldKeys.unit);
+  result.supplier = {
+    name: text(fieldKeys.supplierName),
+    years: toNumber(text(fieldKeys.supplierYears)),
+    location: text(fieldKeys.supplierLocation),
+  };
+
+  const tiers = findValue(data, fieldKeys.priceTiers, isObjectArray);
+  if (tiers) result.priceTiers = normalizePriceTiers(tiers, text(fieldKeys.currency));
+
+  result.attributes = normalizeAttributes(findAllValues(data, fieldKeys.attributes, isObjectArray));
+
+  const categories = findValue(data, fieldKeys.categories, isObjectArray);
+  if (categories) result.categories = normalizeCategories(categories);
+
+  return result;
+}
+
+// Fill fields missing from `target` with values from `source`
+function mergeProductData(target, source) {
+  const isEmpty = value => value === null || value === undefined || (Array.isArray(value) && value.length === 0);
+
+  for (const key of ['title', 'priceTiers', 'moq', 'unit', 'attributes', 'categories']) {
+    if (isEmpty(target[key]) && !isEmpty(source[key])) target[key] = source[key];
+  }
+  for (const key of ['name', 'years', 'location']) {
+    if (isEmpty(target.supplier[key]) && !isEmpty(source.supplier[key])) {
+      target.supplier[key] = source.supplier[key];
+    }
+  }
+  return target;
+}
+
+// Runs in the browser. Must be self-contained.
+function readProductDom({ titleSelectors, embeddedDataGlobals }) {
+  const textOf = (selectors) => {
+    for (const selector of selectors) {
+      const text = document.querySelector(selector)?.textContent?.replace(/\s+/g, ' ').trim();
+      if (text) return text;
+    }
+    return null;
+  };
+
+  const priceTiers = [];
+  document.querySelectorAll('.price-item, [class*="ladder-price"] [class*="item"], .price-list .price').forEach((item) => {
+    const quantity = item.querySelector('[class*="quality"], [class*="quantity"], .num')?.textContent || '';
+    const price = item.querySelector('[class*="price"]:not([class*="item"]), .value')?.textContent || item.textContent || '';
+    const quantities = quantity.replace(/,/g, '').match(/\d+/g) || [];
+    const priceNumber = price.replace(/,/g, '').match(/\d+(?:\.\d+)?/);
+    if (!priceNumber) return;
+    priceTiers.push({
+      minQuantity: quantities[0] ? Number(quantities[0]) : null,
+      maxQuantity: quantities[1] && !/≥|>=|\+/.test(quantity) ? Number(quantities[1]) : null,
+      price: Number(priceNumber[0]),
+      currency: /\$|US/.test(price) ? 'USD' : null,
+    });
+  });
+
+  // "Min. order: 100 pieces"
+  const moqText = textOf(['.moq', '[class*="min-order"]', '[class*="moq"]']) ||
+    (document.body.innerText.match(/Min\.?\s*order[:\s]*([\d,]+\s*[A-Za-z/()]+)/i) || [])[1] || null;
+  const moqMatch = moqText ? moqText.replace(/,/g, '').match(/(\d+)\s*([A-Za-z/()]+)?/) : null;
+
+  const attributes = [];
+  document.querySelectorAll('.attribute-item, .do-entry-item, [class*="attribute-list"] li, .product-props tr').forEach((item) => {
+    const name = item.querySelector('.attribute-name, .left, dt, th, [class*="name"]')?.textContent?.trim();
+    const value = item.querySelector('.attribute-value, .right, dd, td, [class*="value"]')?.textContent?.trim();
+    if (name && value) attributes.push({ name: name.replace(/:$/, ''), value });
+  });
+
+  const categories = [];
+  document.querySelectorAll('.detail-breadcrumb a, [class*="breadcrumb"] a, nav[aria-label="breadcrumb"] a').forEach((link) => {
+    const name = link.textContent.trim();
+    if (name) categories.push({ name, url: link.href || null });
+  });
+
+  const yearsText = textOf(['.company-life', '[class*="supplier-year"]', '[class*="join-year"]']);
+
+  return {
+    // Some product pages inline the full detail JSON
+    embeddedData: embeddedDataGlobals.map(name => window[name]).find(Boolean) || null,
+    dom: {
+      title: textOf(titleSelectors),
+      priceTiers,
+      moq: moqMatch ? Number(moqMatch[1]) : null,
+      unit: moqMatch && moqMatch[2] ? moqMatch[2] : null,
+      supplier: {
+        name: textOf(['.company-name', '[class*="company-name"]', '.supplier-name']),
+        years: yearsText ? Number((yearsText.match(/\d+/) || [])[0]) || null : null,
+        location: textOf(['.company-location', '[class*="register-country"]', '[class*="supplier-location"]']),
+      },
+      attributes,
+      categories,
+    },
+  };
+}
+
+// Collects product JSON seen by the network interceptor and turns it into
+// one normalized product record.
+class ProductDataExtractor {
+  constructor(adapter = alibabaAdapter) {
+    this.adapter = adapter;
+    this.documents = [];
+  }
+
+  isProductDataUrl(url) {
+    return this.adapter.isProductDataUrl(url);
+  }
+
+  // Accepts parsed JSON or a raw body; ignores responses from other endpoints
+  addResponse(url, body) {
+    if (!this.isProductDataUrl(url)) return false;
+    const data = parseJsonLike(body);
+    if (!data || typeof data !== 'object') return false;
+    this.documents.push(data);
+    return true;
+  }
+
+  /**
+   * Build the product record from the collected JSON, then fill the gaps from
+   * the page's DOM (and any detail JSON embedded in the page).
+   */
+  async extract(page = null) {
+    const result = emptyProductData();
+    const { productFields, selectors, embeddedDataGlobals } = this.adapter;
+    for (const data of this.documents) {
+      mergeProductData(result, extractFromData(data, productFields));
+    }
+
+    if (page) {
+      const { embeddedData, dom } = await page.evaluate(readProductDom, {
+        titleSelectors: selectors.productName,
+        embeddedDataGlobals,
+      });
+      if (embeddedData) mergeProductData(result, extractFromData(embeddedData, productFields));
+      mergeProductData(result, dom);
+    }
+
+    return result;
+  }
+
+  clear() {
+    this.documents = [];
+  }
+}
+
+export { ProductDataExtractor, parseJsonLike, extractFromData };
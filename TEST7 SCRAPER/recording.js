@@ -0,0 +1,252 @@
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+// Record and replay of product page sessions. Recording keeps every response
+// the page received and every file the downloader fetched; replaying serves
+// them from disk to the browser (page.route) and to the downloader (a
+// request.get()-compatible transport), so a product can be scraped again
+// offline, with the same input every time.
+//
+// One folder per product URL, <productId>-<hash of the URL>/, holding
+// session.json (the responses in the order they arrived) and bodies/, the
+// response bodies by content hash.
+
+const NETWORK_MODES = ['live', 'record', 'replay'];
+const SESSION_FILE = 'session.json';
+const BODIES_DIR = 'bodies';
+
+// Bodies larger than this are not recorded (a video stream, say); replay treats them as missing
+const MAX_BODY = 50 * 1024 * 1024;
+
+// Headers that describe the bytes on the wire, not the decoded body we store
+const TRANSPORT_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+function sessionDir(dir, url, productId = null) {
+  const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 8);
+  return path.join(dir, `${productId || 'page'}-${hash}`);
+}
+
+// What request.get() of a Playwright APIRequestContext resolves to, as far as
+// the downloader uses it
+function apiResponse(status, headers, body) {
+  return {
+    status: () => status,
+    headers: () => headers,
+    ok: () => status >= 200 && status < 300,
+    body: async () => body,
+  };
+}
+
+class SessionRecorder {
+  /**
+   * @param {string} dir - Folder of the recordings
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.session = null;
+    this.entries = [];
+    this.pending = new Set();
+  }
+
+  // Record the responses of a newly opened page
+  attach(page) {
+    page.on('response', (response) => {
+      if (!this.session) return;
+      const recording = this.recordResponse(response).catch(() => {});
+      this.pending.add(recording);
+      recording.finally(() => this.pending.delete(recording));
+    });
+  }
+
+  // Start recording a product afresh (every attempt replaces the last one)
+  async begin(url, productId = null) {
+    await Promise.allSettled(this.pending);
+    this.session = { url, dir: sessionDir(this.dir, url, productId), recordedAt: new Date().toISOString() };
+    this.entries = [];
+    await fs.remove(this.session.dir);
+    await fs.ensureDir(path.join(this.session.dir, BODIES_DIR));
+  }
+
+  // Store a body under its content hash; resolves to its path in the session
+  async storeBody(body) {
+    if (!body || body.length > MAX_BODY) return null;
+    const name = path.join(BODIES_DIR, crypto.createHash('sha256').update(body).digest('hex'));
+    const filePath = path.join(this.session.dir, name);
+    if (!await fs.pathExists(filePath)) await fs.writeFile(filePath, body);
+    return name.split(path.sep).join('/');
+  }
+
+  async recordResponse(response) {
+    const { session } = this;
+    const request = response.request();
+    let body = null;
+    try {
+      body = await response.body();
+    } catch (error) {
+      // Redirects and aborted responses have no body
+    }
+    if (session !== this.session) return;
+    this.entries.push({
+      source: 'page',
+      method: request.method(),
+      url: response.url(),
+      status: response.status(),
+      headers: response.headers(),
+      body: await this.storeBody(body),
+    });
+  }
+
+  // A request.get()-compatible transport for the downloader that records
+  // what `request` (the browser context's APIRequestContext) fetches
+  transport(request) {
+    return {
+      get: async (url, options) => {
+        const response = await request.get(url, options);
+        const body = await response.body();
+        if (this.session) {
+          this.entries.push({
+            source: 'download',
+            method: 'GET',
+            url,
+            status: response.status(),
+            headers: response.headers(),
+            body: await this.storeBody(body),
+          });
+        }
+        return apiResponse(response.status(), response.headers(), body);
+      },
+    };
+  }
+
+  /**
+   * Write session.json once the responses still being read are in.
+   * Resolves to the session folder.
+   */
+  async save() {
+    if (!this.session) return null;
+    await Promise.allSettled(this.pending);
+    const { url, dir, recordedAt } = this.session;
+    await fs.writeJson(path.join(dir, SESSION_FILE), { url, recordedAt, entries: this.entries }, { spaces: 2 });
+    this.session = null;
+    return dir;
+  }
+}
+
+class SessionReplayer {
+  /**
+   * @param {string} dir - Folder of the recordings
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.session = null;
+    this.byUrl = new Map();
+    this.served = new Map();
+    this.misses = [];
+  }
+
+  // Serve every request of a newly opened context from the current session
+  async attach(context) {
+    await context.route('**/*', route => this.fulfill(route));
+  }
+
+  /**
+   * Load the recording of a product. Resolves to false when there is none.
+   */
+  async begin(url, productId = null) {
+    const dir = sessionDir(this.dir, url, productId);
+    const sessionPath = path.join(dir, SESSION_FILE);
+    this.session = null;
+    this.byUrl = new Map();
+    this.served = new Map();
+    this.misses = [];
+    if (!await fs.pathExists(sessionPath)) return false;
+
+    this.session = { ...await fs.readJson(sessionPath), dir };
+    for (const entry of this.session.entries) {
+      const key = `${entry.method} ${entry.url}`;
+      if (!this.byUrl.has(key)) this.byUrl.set(key, []);
+      this.byUrl.get(key).push(entry);
+    }
+    return true;
+  }
+
+  /**
+   * The recorded answer to a request. Responses to the same URL are served
+   * in the order they were recorded, the last one repeating. Requests whose
+   * URL differs only in the query string (timestamps, signatures) get the
+   * recording of the same path that shares the most query parameters.
+   */
+  find(method, url) {
+    if (!this.session) return null;
+    const key = `${method} ${url}`;
+    let entries = this.byUrl.get(key);
+    if (!entries) {
+      const wanted = new URL(url);
+      let best = null;
+      let bestScore = -1;
+      for (const [candidateKey, candidates] of this.byUrl) {
+        const [candidateMethod, candidateUrl] = candidateKey.split(' ');
+        if (candidateMethod !== method) continue;
+        const candidate = new URL(candidateUrl);
+        if (candidate.origin !== wanted.origin || candidate.pathname !== wanted.pathname) continue;
+        const score = Array.from(wanted.searchParams).filter(([name, value]) => candidate.searchParams.get(name) === value).length;
+        if (score > bestScore) {
+          best = candidates;
+          bestScore = score;
+        }
+      }
+      entries = best;
+    }
+    if (!entries) return null;
+
+    const count = this.served.get(entries) || 0;
+    this.served.set(entries, count + 1);
+    return entries[Math.min(count, entries.length - 1)];
+  }
+
+  // Whether a recorded response can be served; bodies over MAX_BODY were not kept
+  playable(entry) {
+    return Boolean(entry) && (Boolean(entry.body) || entry.status < 200 || entry.status >= 300);
+  }
+
+  async readBody(entry) {
+    return entry.body ? fs.readFile(path.join(this.session.dir, entry.body)) : Buffer.alloc(0);
+  }
+
+  headersOf(entry) {
+    return Object.fromEntries(Object.entries(entry.headers || {}).filter(([name]) => !TRANSPORT_HEADERS.includes(name)));
+  }
+
+  // page.route() handler: nothing reaches the network
+  async fulfill(route) {
+    const request = route.request();
+    const entry = this.find(request.method(), request.url());
+    if (!this.playable(entry)) {
+      this.misses.push(request.url());
+      await route.abort('internetdisconnected').catch(() => {});
+      return;
+    }
+    await route.fulfill({
+      status: entry.status,
+      headers: this.headersOf(entry),
+      body: await this.readBody(entry),
+    }).catch(() => {});
+  }
+
+  // A request.get()-compatible transport for the downloader, served from the session
+  transport() {
+    return {
+      get: async (url) => {
+        const entry = this.find('GET', url);
+        if (!this.playable(entry)) {
+          this.misses.push(url);
+          return apiResponse(404, {}, Buffer.alloc(0));
+        }
+        return apiResponse(entry.status, this.headersOf(entry), await this.readBody(entry));
+      },
+    };
+  }
+}
+
+export { SessionRecorder, SessionReplayer, NETWORK_MODES };
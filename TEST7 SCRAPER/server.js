@@ -0,0 +1,433 @@
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { writeZip } from './zip.js';
+
+// Local HTTP API around one AlibabaImageScraper: other services submit scrape
+// jobs, follow their progress, fetch the images (one by one or as a zip) and
+// cancel them. Jobs run one after another on the scraper's shared browser
+// pool; each job's products are scraped `concurrency` at a time as usual.
+// A job is queued, running, then done, failed (the batch itself broke) or
+// cancelled. Jobs live in memory only.
+//
+//   GET  /health                 Server and queue state
+//   GET  /jobs                   All jobs, newest first
+//   POST /jobs                   { urls: [...], options: {...} } -> 202 with the job
+//   GET  /jobs/:id               Job status, progress and per-product results
+//   POST /jobs/:id/cancel        Cancel a queued or running job
+//   GET  /jobs/:id/files         Files produced by the job's products
+//   GET  /jobs/:id/zip           Those files as a zip archive
+//   GET  /files/<product>/<path> One file from the download folder
+
+// Options a job may set for itself; everything else (browser, proxies,
+// download folder) belongs to the server
+const JOB_OPTIONS = [
+  'concurrency',
+  'retryAttempts',
+  'imageRoles',
+  'skuImages',
+  'skuClickThrough',
+  'downloadVideos',
+  'extractDescription',
+  'incremental',
+];
+
+// Finished jobs kept for status requests; older ones are forgotten
+const MAX_FINISHED_JOBS = 100;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.mp4': 'video/mp4',
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.html': 'text/html; charset=utf-8',
+  '.md': 'text/markdown; charset=utf-8',
+};
+
+// Folders and files of a product that are not part of its current output
+const HIDDEN_FILES = /(?:^|\/)archive\/|(?:^|\/)processed\/\.settings\.json$|\.part$|\.moving$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+function sendJson(res, status, body) {
+  const data = JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(data) });
+  res.end(data);
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body too large');
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text.trim()) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new HttpError(400, `Invalid JSON: ${error.message}`);
+  }
+}
+
+// Every file below `dir`, as paths relative to it with forward slashes
+async function listFiles(dir) {
+  if (!await fs.pathExists(dir)) return [];
+  const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile())
+    .map(entry => path.relative(dir, path.join(entry.parentPath || entry.path, entry.name)).split(path.sep).join('/'))
+    .filter(file => !HIDDEN_FILES.test(file))
+    .sort();
+}
+
+class ScrapeServer {
+  /**
+   * @param {AlibabaImageScraper} scraper - Initialized scraper shared by all jobs
+   * @param {object} [options]
+   * @param {string} [options.host] - Interface to listen on
+   * @param {number} [options.port] - Port to listen on (0: any free port)
+   * @param {string} [options.token] - Bearer token required on every request but /health
+   * @param {function} [options.parseOptions] - Validates a job's options; throws on bad values
+   * @param {Logger} [options.logger]
+   */
+  constructor(scraper, { host = '127.0.0.1', port = 8080, token = null, parseOptions = options => options, logger = null } = {}) {
+    this.scraper = scraper;
+    this.baseConfig = { ...scraper.config };
+    this.host = host;
+    this.port = port;
+    this.token = token;
+    this.parseOptions = parseOptions;
+    this.logger = logger;
+    this.jobs = new Map(); // id -> job, in order of submission
+    this.queue = [];
+    this.running = null;
+    this.idle = Promise.resolve();
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  // Resolves to the address the server listens on
+  async start() {
+    this.server.listen(this.port, this.host);
+    await new Promise((resolve, reject) => {
+      this.server.once('listening', resolve);
+      this.server.once('error', reject);
+    });
+    const address = this.server.address();
+    return `http://${address.address.includes(':') ? `[${address.address}]` : address.address}:${address.port}`;
+  }
+
+  // Stop accepting requests, cancel queued and running jobs and wait for the
+  // products in progress to finish
+  async stop() {
+    const closed = new Promise(resolve => this.server.close(resolve));
+    this.server.closeIdleConnections();
+    for (const job of this.queue.concat(this.running || [])) this.cancel(job.id);
+    await this.idle;
+    await closed;
+  }
+
+  /**
+   * Queue a scrape of `urls` with per-job `options` (see JOB_OPTIONS).
+   * Returns the new job.
+   */
+  submit(urls, options = {}) {
+    if (!Array.isArray(urls) || urls.length === 0) {
+      throw new HttpError(400, '"urls" must be a non-empty array of product URLs');
+    }
+    const productUrls = urls.map((url) => {
+      let parsed;
+      try {
+        parsed = new URL(String(url).trim());
+      } catch (error) {
+        throw new HttpError(400, `Invalid product URL: ${JSON.stringify(url)}`);
+      }
+      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw new HttpError(400, `Product URL must be http(s): ${JSON.stringify(url)}`);
+      }
+      return parsed.href;
+    });
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new HttpError(400, '"options" must be an object');
+    }
+    const unknown = Object.keys(options).filter(key => !JOB_OPTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new HttpError(400, `Options not settable per job: ${unknown.join(', ')} (allowed: ${JOB_OPTIONS.join(', ')})`);
+    }
+    let jobOptions;
+    try {
+      jobOptions = this.parseOptions(options);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      urls: Array.from(new Set(productUrls)),
+      options: jobOptions,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null,
+      results: new Map(), // url -> scrape result
+      controller: new AbortController(),
+    };
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    if (this.logger) this.logger.info('Job queued', { job: job.id, products: job.urls.length });
+
+    if (!this.running) this.idle = this.drain();
+    return job;
+  }
+
+  // Cancel a job: a queued one never starts, a running one stops after the
+  // products in progress. Returns false when the job had already finished.
+  cancel(id) {
+    const job = this.getJob(id);
+    if (job.status === 'queued') {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+    } else if (job.status === 'running') {
+      job.controller.abort();
+    } else {
+      return false;
+    }
+    if (this.logger) this.logger.info('Job cancelled', { job: job.id });
+    return true;
+  }
+
+  getJob(id) {
+    const job = this.jobs.get(id);
+    if (!job) throw new HttpError(404, `No job ${id}`);
+    return job;
+  }
+
+  // Run queued jobs one at a time until the queue is empty
+  async drain() {
+    while (this.queue.length > 0) {
+      const job = this.queue.shift();
+      this.running = job;
+      job.status = 'running';
+      job.startedAt = new Date().toISOString();
+      // Jobs run one at a time, so their options can replace the scraper's for the duration
+      this.scraper.config = { ...this.baseConfig, ...job.options };
+      try {
+        const scrape = () => this.scraper.scrapeMultipleProducts(job.urls, {
+          signal: job.controller.signal,
+          // Keyed by the submitted URL, as in job.urls
+          onResult: (result, url) => job.results.set(url, result),
+        });
+        // Log entries of the job's products carry its ID
+        await (this.logger ? this.logger.withContext({ jobId: job.id }, scrape) : scrape());
+        job.status = job.controller.signal.aborted ? 'cancelled' : 'done';
+      } catch (error) {
+        job.status = 'failed';
+        job.error = error.message;
+        if (this.logger) this.logger.error('Job failed', { job: job.id, error: error.message });
+      } finally {
+        this.scraper.config = { ...this.baseConfig };
+        job.finishedAt = new Date().toISOString();
+        this.running = null;
+      }
+      if (this.logger) this.logger.info(`Job ${job.status}`, { job: job.id, ...this.progress(job) });
+      this.forgetOldJobs();
+    }
+  }
+
+  forgetOldJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  progress(job) {
+    const results = Array.from(job.results.values());
+    return {
+      total: job.urls.length,
+      finished: results.length,
+      successful: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success && result.reason !== 'cancelled').length,
+      cancelled: results.filter(result => result.reason === 'cancelled').length,
+    };
+  }
+
+  // Product folder, relative to the download folder, of a successful result
+  productFolder(result) {
+    if (!result || !result.success || !result.manifest) return null;
+    return path.relative(this.baseConfig.downloadDir, path.dirname(result.manifest)).split(path.sep).join('/');
+  }
+
+  describeJob(job, { products = true } = {}) {
+    const view = {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      options: job.options,
+      progress: this.progress(job),
+      error: job.error,
+    };
+    if (!products) return view;
+
+    view.products = job.urls.map((url) => {
+      const result = job.results.get(url);
+      if (!result) {
+        return { url, status: job.status === 'cancelled' ? 'cancelled' : 'pending' };
+      }
+      if (!result.success) {
+        return { url, status: result.reason === 'cancelled' ? 'cancelled' : 'failed', reason: result.reason, error: result.error };
+      }
+      return {
+        url,
+        status: 'done',
+        productId: result.productId,
+        productName: result.productName,
+        images: result.images.length,
+        totalFound: result.totalFound,
+        folder: this.productFolder(result),
+        changes: result.changes ? { changed: result.changes.changed, firstRun: result.changes.firstRun } : null,
+      };
+    });
+    return view;
+  }
+
+  // [{ name, filePath }] for every file of the job's finished products
+  async jobFiles(job) {
+    const files = [];
+    for (const result of job.results.values()) {
+      const folder = this.productFolder(result);
+      if (!folder) continue;
+      for (const file of await listFiles(path.join(this.baseConfig.downloadDir, folder))) {
+        files.push({ name: `${folder}/${file}`, filePath: path.join(this.baseConfig.downloadDir, folder, file) });
+      }
+    }
+    return files;
+  }
+
+  // Bearer token check, in constant time
+  isAuthorized(req) {
+    if (!this.token) return true;
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    if (!match) return false;
+    const given = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.token);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  async handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      let parts;
+      try {
+        parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+      } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+      }
+
+      if (req.method === 'GET' && url.pathname === '/health') {
+        return sendJson(res, 200, { status: 'ok', running: this.running ? this.running.id : null, queued: this.queue.length });
+      }
+      if (!this.isAuthorized(req)) throw new HttpError(401, 'Missing or wrong bearer token');
+
+      if (parts[0] === 'jobs' && parts.length === 1) {
+        if (req.method === 'GET') {
+          const jobs = Array.from(this.jobs.values()).reverse();
+          return sendJson(res, 200, jobs.map(job => this.describeJob(job, { products: false })));
+        }
+        if (req.method === 'POST') {
+          const body = await readJsonBody(req);
+          const job = this.submit(body.urls, body.options || {});
+          res.setHeader('Location', `/jobs/${job.id}`);
+          return sendJson(res, 202, this.describeJob(job));
+        }
+        throw new HttpError(405, `${req.method} not allowed on /jobs`);
+      }
+
+      if (parts[0] === 'jobs' && parts.length >= 2) {
+        const job = this.getJob(parts[1]);
+        const action = parts.slice(2).join('/');
+        if (req.method === 'GET' && action === '') return sendJson(res, 200, this.describeJob(job));
+        if (req.method === 'POST' && action === 'cancel') {
+          if (!this.cancel(job.id)) throw new HttpError(409, `Job ${job.id} already ${job.status}`);
+          return sendJson(res, 202, this.describeJob(job));
+        }
+        if (req.method === 'GET' && action === 'files') {
+          const files = await this.jobFiles(job);
+          return sendJson(res, 200, await Promise.all(files.map(async file => ({
+            path: file.name,
+            bytes: (await fs.stat(file.filePath)).size,
+            url: `/files/${file.name.split('/').map(encodeURIComponent).join('/')}`,
+          }))));
+        }
+        if (req.method === 'GET' && action === 'zip') {
+          const files = await this.jobFiles(job);
+          res.writeHead(200, {
+            'Content-Type': 'application/zip',
+            'Content-Disposition': `attachment; filename="job-${job.id}.zip"`,
+          });
+          await writeZip(res, files);
+          return res.end();
+        }
+        throw new HttpError(404, `No route ${req.method} ${url.pathname}`);
+      }
+
+      if (req.method === 'GET' && parts[0] === 'files' && parts.length >= 2) {
+        return await this.sendFile(res, parts.slice(1));
+      }
+
+      throw new HttpError(404, `No route ${req.method} ${url.pathname}`);
+    } catch (error) {
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500 && this.logger) this.logger.error('API request failed', { url: req.url, error: error.message });
+      sendJson(res, status, { error: error.message });
+    }
+  }
+
+  // Stream a file from the download folder; never anything outside it
+  async sendFile(res, segments) {
+    const root = path.resolve(this.baseConfig.downloadDir);
+    const filePath = path.resolve(root, ...segments);
+    const relative = path.relative(root, filePath);
+    if (relative.startsWith('..') || path.isAbsolute(relative) || HIDDEN_FILES.test(relative.split(path.sep).join('/'))) {
+      throw new HttpError(404, 'No such file');
+    }
+    let stat;
+    try {
+      stat = await fs.stat(filePath);
+    } catch (error) {
+      throw new HttpError(404, 'No such file');
+    }
+    if (!stat.isFile()) throw new HttpError(404, 'No such file');
+
+    res.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+      'Content-Length': stat.size,
+    });
+    fs.createReadStream(filePath).on('error', error => res.destroy(error)).pipe(res);
+  }
+}
+
+export { ScrapeServer, HttpError, JOB_OPTIONS };
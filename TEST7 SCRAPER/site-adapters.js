@@ -0,0 +1,319 @@
+// Site adapters: everything that differs between marketplaces (URLs, product
+// IDs, data endpoints, image CDNs, page selectors) lives here, so the scraper
+// itself stays site-agnostic. The adapter is chosen by product (or listing) URL.
+
+const IMAGE_EXTENSIONS = 'jpg|jpeg|png|webp|gif';
+
+/**
+ * Base adapter. Subclasses set the properties in their constructor and
+ * override methods where a property is not enough.
+ */
+class SiteAdapter {
+  constructor() {
+    this.name = 'generic';
+    // Hostnames this adapter handles
+    this.hosts = [];
+    // Product ID patterns, tried in order against page and response URLs
+    this.productIdPatterns = [/\/(\d+)\.html/];
+    // Links on search, category and storefront pages that lead to a product
+    this.productUrlPatterns = [];
+    // Listings paginated by a query parameter: [{ pattern, param }]. Used
+    // when a listing page has no usable "next" link.
+    this.listingPagination = [];
+    // Responses scanned for image URLs (besides any JSON response)
+    this.dataEndpoints = [];
+    // Responses whose JSON describes the product itself
+    this.productDataEndpoints = [];
+    // Description iframe / fragment URLs
+    this.descriptionUrls = null;
+    // Image URL patterns for scanning response bodies, most specific first
+    this.imagePatterns = [
+      new RegExp(`https?:\\/\\/[^"'\\s]+\\.(?:${IMAGE_EXTENSIONS})(?:\\?[^"'\\s]*)?`, 'gi'),
+    ];
+    // Image requests made by the page itself
+    this.imageRequestPattern = new RegExp(`\\.(?:${IMAGE_EXTENSIONS})(?:\\?|$)`, 'i');
+    // Which image URLs are product images: hosts, include/exclude patterns,
+    // minimum size and scoring rules, laid over the common defaults (see
+    // image-rules.js); config.json's imageRules option goes on top
+    this.imageRules = {};
+    this.selectors = {
+      productName: ['h1', '[data-product-name]', '.product-title'],
+      // Hovered while scrolling to trigger lazy loading
+      hover: [],
+      // "Next page" controls on listings, tried before the generic ones
+      nextPage: [],
+    };
+    // window.<name> objects that hold the product's detail data
+    this.embeddedDataGlobals = [];
+    // Extra JSON keys per product data field (see FIELD_KEYS in product-data.js)
+    this.productFields = {};
+  }
+
+  matches(url) {
+    try {
+      const { hostname } = new URL(url);
+      return this.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  parseProductId(url) {
+    if (!url) return null;
+    for (const pattern of this.productIdPatterns) {
+      const match = url.match(pattern);
+      if (match && match[1]) return match[1];
+    }
+    return null;
+  }
+
+  // Canonical product page URL for a link found on a listing, or null when
+  // the link does not lead to one of this site's product pages
+  productUrl(href, base = undefined) {
+    let url;
+    try {
+      url = new URL(href, base);
+    } catch (error) {
+      return null;
+    }
+    if (!this.matches(url.href) || !this.productUrlPatterns.some(pattern => pattern.test(url.href))) return null;
+    if (!this.parseProductId(url.href)) return null;
+
+    url.search = '';
+    url.hash = '';
+    return url.href;
+  }
+
+  // URL of page `pageNumber` of a listing paginated by query parameter, or null
+  listingPageUrl(listingUrl, pageNumber) {
+    const pagination = this.listingPagination.find(({ pattern }) => pattern.test(listingUrl));
+    if (!pagination) return null;
+    const url = new URL(listingUrl);
+    url.searchParams.set(pagination.param, String(pageNumber));
+    return url.href;
+  }
+
+  // JSON responses are always scanned; other responses only from known endpoints
+  isDataEndpoint(url, contentType = '') {
+    return contentType.includes('application/json') ||
+      contentType.includes('text/json') ||
+      this.dataEndpoints.some(endpoint => url.includes(endpoint));
+  }
+
+  isProductDataUrl(url) {
+    return Boolean(url) && this.productDataEndpoints.some(endpoint => url.includes(endpoint));
+  }
+
+  isDescriptionUrl(url) {
+    return Boolean(url) && Boolean(this.descriptionUrls) && this.descriptionUrls.test(url);
+  }
+
+  // Rewrite rendition URLs (thumbnails, resized or re-encoded copies) to the
+  // original upload. Renditions of one picture share an image key.
+  normalizeImageUrl(url) {
+    return url;
+  }
+
+  // URLs to try for an image, best first. The downloader moves on to the
+  // next one when the CDN does not serve a rendition.
+  renditionCandidates(url) {
+    return [this.normalizeImageUrl(url)];
+  }
+}
+
+class AlibabaAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.name = 'alibaba';
+    this.hosts = ['alibaba.com'];
+    this.productIdPatterns = [
+      /product[_-]?id[=:](\d+)/i,
+      /_(\d+)\.html/,  // Alibaba pattern: _PRODUCTID.html
+      /\/(\d+)\.html/, // Standard pattern: /PRODUCTID.html
+      /detailId=(\d+)/i,
+      /productId=(\d+)/i,
+    ];
+    this.productUrlPatterns = [/\/product-detail\//i];
+    // Search results and category (catalog) pages
+    this.listingPagination = [{ pattern: /\/trade\/search|\/catalog\/|[?&]SearchText=/i, param: 'page' }];
+    this.dataEndpoints = [
+      '/api/',
+      '/ajax/',
+      'getProduct',
+      'productDetail',
+      '/event/app/productDetail/',
+      '/event/app/mainAction/',
+      'mtop.alibaba',
+      'productQuickDetail',
+      'descIframe',
+      'product-detail/description',
+    ];
+    this.productDataEndpoints = ['mtop.alibaba', 'productDetail', 'productQuickDetail'];
+    this.descriptionUrls = /descIframe|product-detail\/description|mainAction\/desc/i;
+    this.imagePatterns = [
+      // Alibaba CDN patterns (sc01, sc02, sc04, etc.)
+      /https?:\/\/s\.alicdn\.com\/@sc\d+\/kf\/[^"'\s]+\.(?:jpg|jpeg|png|webp|gif)(?:\?[^"'\s]*)?/gi,
+      /https?:\/\/sc\d+\.alicdn\.com\/kf\/[^"'\s]+\.(?:jpg|jpeg|png|webp|gif)(?:\?[^"'\s]*)?/gi,
+      // Alibaba image URL patterns (general)
+      /https?:\/\/[^"'\s]*\.alicdn\.com[^"'\s]+\.(?:jpg|jpeg|png|webp|gif)(?:\?[^"'\s]*)?/gi,
+      // High-res image patterns with size indicators
+      /https?:\/\/[^"'\s]+_(?:960x960|800x800|1200x1200|1600x1600)[^"'\s]*\.(?:jpg|jpeg|png|webp|gif)/gi,
+      // General image patterns
+      /https?:\/\/[^"'\s]+\.(?:jpg|jpeg|png|webp|gif)(?:\?[^"'\s]*)?/gi,
+    ];
+    // When no images are tied to the product ID, prefer product image
+    // servers (scNN), high-res copies and the kf/ upload folder
+    this.imageRules = {
+      hosts: ['alicdn.com'],
+      rules: [
+        { name: 'sc-subdomain', pattern: /sc\d+\.alicdn\.com/i, weight: 2 },
+        { name: 'high-res', pattern: /_(?:960x960|800x800|1200x1200|1600x1600)/i, weight: 2 },
+        { name: 'kf-folder', pattern: /alicdn\.com\/(?:@sc\d+\/)?kf\//i, weight: 2 },
+        // Two size suffixes point to a broken rendition URL
+        { name: 'double-size', pattern: /_\d+x\d+.*_\d+x\d+/, weight: -2 },
+      ],
+      minScore: 1,
+    };
+    this.selectors = {
+      productName: ['h1', '[data-product-name]', '.product-title'],
+      hover: ['.product-image', '.image-gallery img', '[data-image]', '.main-image'],
+      nextPage: ['.seb-pagination .pages-next', '.next-pagination-item.next', '.ui2-pagination-next', '.next-btn'],
+    };
+    this.embeddedDataGlobals = ['detailData'];
+  }
+
+  normalizeImageUrl(url) {
+    if (!url.includes('alicdn.com')) return url;
+    const [baseUrl] = url.split('?');
+    return baseUrl
+      // H1234.png_960x960q80.jpg, H1234.jpg_.webp -> H1234.png
+      .replace(/(\.(?:jpe?g|png|webp|gif))_[^/]*$/i, '$1')
+      // H1234_50x50.jpg, H1234_220x220q80.jpg -> H1234.jpg
+      .replace(/_\d+x\d+(?:q\d+)?(\.(?:jpe?g|png|webp|gif))$/i, '$1');
+  }
+
+  // Some uploads are only served resized: probe the large sizes, down to
+  // the 960px copy that is always there
+  renditionCandidates(url) {
+    const original = this.normalizeImageUrl(url);
+    if (!url.includes('alicdn.com')) return [original];
+    return [original, ...[1600, 1200, 960].map(size => `${original}_${size}x${size}q80.jpg`)];
+  }
+}
+
+// detail.1688.com/offer/<id>.html. Offer images live under cbuNN.alicdn.com/img/ibank/
+// with size variants such as .310x310.jpg, .search.jpg or .jpg_460x460q100.jpg_.webp
+class Alibaba1688Adapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.name = '1688';
+    this.hosts = ['1688.com'];
+    this.productIdPatterns = [/\/offer\/(\d+)\.html/, /offerId=(\d+)/i, /offer_id=(\d+)/i];
+    this.productUrlPatterns = [/\/\/detail\.1688\.com\/offer\/\d+\.html/i];
+    this.listingPagination = [
+      { pattern: /s\.1688\.com\/selloffer\//i, param: 'beginPage' },
+      { pattern: /\/offerlist\.htm/i, param: 'pageNum' },
+    ];
+    this.dataEndpoints = ['mtop.1688', 'h5api.m.1688.com', '/offer/ajax', 'laputa', 'itemcdn.tmall.com', 'desc.alicdn.com'];
+    this.productDataEndpoints = ['mtop.1688', 'h5api.m.1688.com', '/offer/ajax'];
+    this.descriptionUrls = /itemcdn\.tmall\.com\/1688offer|desc\.alicdn\.com|\/offer\/desc/i;
+    this.imagePatterns = [
+      /https?:\/\/cbu\d+\.alicdn\.com\/img\/ibank\/[^"'\s]+?\.(?:jpg|jpeg|png|webp)(?:_[^"'\s/]*)?/gi,
+      /https?:\/\/[^"'\s]*\.alicdn\.com[^"'\s]+\.(?:jpg|jpeg|png|webp|gif)(?:\?[^"'\s]*)?/gi,
+    ];
+    this.imageRules = { hosts: ['alicdn.com'], include: [/\/img\/ibank\//] };
+    this.selectors = {
+      productName: ['.title-text', '.od-pc-offer-title-contain h1', '.d-title', 'h1'],
+      hover: ['.detail-gallery-turn img', '.img-list-wrapper img', '.od-gallery-preview img'],
+      nextPage: ['.fui-next', '.sm-pagination .next', 'a.next-page'],
+    };
+    this.embeddedDataGlobals = ['__INIT_DATA', '__GLOBAL_DATA', 'iDetailData'];
+    this.productFields = {
+      title: ['offerTitle'],
+      moq: ['beginAmount'],
+      priceTiers: ['priceRangeList', 'priceRanges', 'currentPrices'],
+      supplierName: ['sellerName', 'shopName'],
+    };
+  }
+
+  normalizeImageUrl(url) {
+    return url
+      // O1CN01abc.jpg_460x460q100.jpg_.webp -> O1CN01abc.jpg
+      .replace(/(\.(?:jpe?g|png|webp))_[^/?]*/i, '$1')
+      // O1CN01abc.310x310.jpg, .search.jpg, .summ.jpg -> O1CN01abc.jpg
+      .replace(/\.(?:\d+x\d+|search|summ)(\.(?:jpe?g|png|webp))/i, '$1');
+  }
+}
+
+// aliexpress.com/item/<id>.html. Images live under aeNN.alicdn.com/kf/ or
+// ae-pic-*.aliexpress-media.com/kf/ with suffixes like .jpg_640x640q75.jpg_.avif
+class AliExpressAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.name = 'aliexpress';
+    this.hosts = ['aliexpress.com', 'aliexpress.us', 'aliexpress.ru'];
+    this.productIdPatterns = [/\/item\/(?:[^/]+\/)?(\d+)\.html/, /productId=(\d+)/i, /itemId=(\d+)/i];
+    this.productUrlPatterns = [/\/item\/(?:[^/]+\/)?\d+\.html/i];
+    // Search (wholesale), category and store "all items" pages
+    this.listingPagination = [{ pattern: /\/w\/wholesale-|\/wholesale\?|\/category\/|all-items\.html/i, param: 'page' }];
+    this.dataEndpoints = ['mtop.aliexpress', 'aer-jsonapi', 'aeglodetailweb', 'acs.aliexpress.com', 'aeproductsourcesite.alicdn.com'];
+    this.productDataEndpoints = ['mtop.aliexpress', 'aer-jsonapi', 'aeglodetailweb'];
+    this.descriptionUrls = /aeproductsourcesite\.alicdn\.com|\/product\/description\//i;
+    this.imagePatterns = [
+      /https?:\/\/[^"'\s/]*(?:alicdn\.com|aliexpress-media\.com)\/kf\/[^"'\s]+?\.(?:jpg|jpeg|png|webp)(?:_[^"'\s/]*)?/gi,
+      /https?:\/\/[^"'\s]*\.alicdn\.com[^"'\s]+\.(?:jpg|jpeg|png|webp|gif)(?:\?[^"'\s]*)?/gi,
+    ];
+    this.imageRequestPattern = /\.(?:jpg|jpeg|png|webp|gif|avif)(?:\?|$)/i;
+    this.imageRules = { hosts: ['alicdn.com', 'aliexpress-media.com'], include: [/\/kf\//] };
+    this.selectors = {
+      productName: ['h1[data-pl="product-title"]', '.product-title-text', 'h1'],
+      hover: ['[class*="slider--img"] img', '[class*="image-view"] img', '.images-view-item img'],
+      nextPage: ['.comet-pagination-next', 'li.next-next', 'button.next-next'],
+    };
+    this.embeddedDataGlobals = ['runParams'];
+    this.productFields = {
+      supplierName: ['storeName'],
+      supplierLocation: ['countryCompleteName'],
+    };
+  }
+
+  // S0123.jpg_640x640q75.jpg_.avif -> S0123.jpg
+  normalizeImageUrl(url) {
+    return url.replace(/(\/kf\/[^?]+?\.(?:jpe?g|png|webp))_[^/?]*/i, '$1');
+  }
+}
+
+const alibabaAdapter = new AlibabaAdapter();
+
+// Checked in order; the first match wins. Alibaba is also the fallback.
+const adapters = [alibabaAdapter, new Alibaba1688Adapter(), new AliExpressAdapter()];
+
+function getAdapter(url) {
+  return adapters.find(adapter => adapter.matches(url)) || alibabaAdapter;
+}
+
+// The adapter called `name` (e.g. '1688'), or null
+function getAdapterByName(name) {
+  return adapters.find(adapter => adapter.name === name) || null;
+}
+
+function adapterNames() {
+  return adapters.map(adapter => adapter.name);
+}
+
+// Add a custom adapter; it takes precedence over the built-in ones
+function registerAdapter(adapter) {
+  adapters.unshift(adapter);
+}
+
+export {
+  SiteAdapter,
+  AlibabaAdapter,
+  Alibaba1688Adapter,
+  AliExpressAdapter,
+  alibabaAdapter,
+  getAdapter,
+  getAdapterByName,
+  adapterNames,
+  registerAdapter,
+};
@@ -0,0 +1,211 @@
+import { parseJsonLike } from './product-data.js';
+
+// SKU (variant) detection: which images belong to which colour/size option.
+
+const MAX_DEPTH = 12;
+
+// Keys under which product JSON lists SKU properties, e.g.
+// skuAttrs: [{ name: 'Color', values: [{ name: 'Red', image: '...' }] }]
+const SKU_PROPERTY_KEYS = ['skuAttrs', 'skuProps', 'skuAttrList', 'skuPropertyList', 'skuPropList', 'productSKUPropertyList'];
+const PROPERTY_NAME_KEYS = ['name', 'attrName', 'propName', 'skuPropertyName', 'title'];
+const PROPERTY_VALUE_LIST_KEYS = ['values', 'attrValues', 'valueList', 'skuPropertyValues', 'list'];
+const VALUE_NAME_KEYS = ['name', 'valueName', 'propertyValueDisplayName', 'propertyValueName', 'text', 'title'];
+const VALUE_IMAGE_KEYS = ['image', 'imageUrl', 'imgUrl', 'skuImage', 'skuPropertyImagePath', 'originImage', 'bigImage'];
+
+// DOM fallbacks for pages whose SKU data is not in the intercepted JSON
+const SKU_SELECTORS = {
+  group: '[data-sku-prop], .sku-attr, .sku-prop-module, [class*="sku-attr-list"], [class*="sku-layout"] > div',
+  groupName: '[data-sku-prop-name], .sku-attr-name, .sku-title, [class*="sku-name"], dt',
+  item: '[data-sku-value], .sku-attr-value, .sku-item, [class*="sku-item"], [class*="sku-attr-item"]',
+  mainImage: '.main-image img, .image-gallery img, [class*="main-image"] img, [class*="main-img"] img',
+};
+
+function pick(object, keys) {
+  for (const key of keys) {
+    if (object[key] !== undefined && object[key] !== null && object[key] !== '') return object[key];
+  }
+  return null;
+}
+
+function absoluteUrl(url) {
+  if (typeof url !== 'string' || !url.trim()) return null;
+  const trimmed = url.trim();
+  return trimmed.startsWith('//') ? `https:${trimmed}` : trimmed;
+}
+
+function findSkuProperties(data, depth = 0) {
+  if (!data || typeof data !== 'object' || depth > MAX_DEPTH) return null;
+
+  if (!Array.isArray(data)) {
+    for (const key of SKU_PROPERTY_KEYS) {
+      if (Array.isArray(data[key]) && data[key].length > 0) return data[key];
+    }
+  }
+  for (const value of Object.values(data)) {
+    const found = findSkuProperties(value, depth + 1);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Build variants from SKU property JSON. Every property value becomes one
+ * variant, e.g. { properties: { Color: 'Red' }, images: [...] }.
+ */
+function extractSkuVariants(data) {
+  const properties = findSkuProperties(data);
+  if (!properties) return [];
+
+  const variants = [];
+  for (const property of properties) {
+    if (!property || typeof property !== 'object') continue;
+    const propertyName = pick(property, PROPERTY_NAME_KEYS);
+    const values = pick(property, PROPERTY_VALUE_LIST_KEYS);
+    if (!propertyName || !Array.isArray(values)) continue;
+
+    for (const value of values) {
+      if (!value || typeof value !== 'object') continue;
+      const valueName = pick(value, VALUE_NAME_KEYS);
+      if (!valueName) continue;
+
+      const image = absoluteUrl(pick(value, VALUE_IMAGE_KEYS));
+      variants.push({
+        properties: { [String(propertyName).trim()]: String(valueName).trim() },
+        images: image ? [image] : [],
+      });
+    }
+  }
+  return variants;
+}
+
+// "Color=Red" or "Color=Red,Size=XL"; used as the key and the folder name
+function variantLabel(properties) {
+  return Object.entries(properties)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(',');
+}
+
+function mergeVariants(target, variants) {
+  for (const variant of variants) {
+    const label = variantLabel(variant.properties);
+    const existing = target.get(label);
+    if (existing) {
+      for (const image of variant.images) {
+        if (!existing.images.includes(image)) existing.images.push(image);
+      }
+    } else {
+      target.set(label, { label, properties: variant.properties, images: [...variant.images] });
+    }
+  }
+  return target;
+}
+
+// Runs in the browser. Reads SKU groups, their options and option thumbnails.
+function readSkuDom(selectors) {
+  const groups = [];
+  document.querySelectorAll(selectors.group).forEach((group, groupIndex) => {
+    const name = group.getAttribute('data-sku-prop') ||
+      group.querySelector(selectors.groupName)?.textContent?.replace(/[:：]\s*$/, '').trim();
+    if (!name) return;
+
+    const items = [];
+    group.querySelectorAll(selectors.item).forEach((item, itemIndex) => {
+      const image = item.querySelector('img');
+      const value = item.getAttribute('data-sku-value') || item.getAttribute('title') ||
+        image?.getAttribute('alt') || item.textContent.trim();
+      if (!value) return;
+      items.push({
+        itemIndex,
+        value: value.trim(),
+        image: image ? (image.getAttribute('data-src') || image.src || null) : null,
+      });
+    });
+
+    if (items.length > 0) groups.push({ groupIndex, name: name.trim(), items });
+  });
+  return groups;
+}
+
+// Collects SKU JSON seen by the network interceptor; optionally clicks through
+// the SKU selector on the page to see which gallery image each option shows.
+class SkuExtractor {
+  constructor() {
+    this.documents = [];
+  }
+
+  addResponse(url, body) {
+    const data = parseJsonLike(body);
+    if (!data || typeof data !== 'object') return false;
+    if (!findSkuProperties(data)) return false;
+    this.documents.push(data);
+    return true;
+  }
+
+  /**
+   * Resolve to a list of { label, properties, images } variants.
+   *
+   * @param {Page} [page] - Product page, for the DOM fallback
+   * @param {object} [options]
+   * @param {boolean} [options.clickThrough] - Click options that have no image yet
+   * @param {Function} [options.delay] - Awaited after each click, e.g. randomDelay
+   */
+  async extract(page = null, { clickThrough = false, delay = null } = {}) {
+    const variants = new Map();
+    for (const data of this.documents) {
+      mergeVariants(variants, extractSkuVariants(data));
+    }
+
+    if (!page) return Array.from(variants.values());
+
+    const groups = await page.evaluate(readSkuDom, SKU_SELECTORS);
+    for (const group of groups) {
+      mergeVariants(variants, group.items.map(item => ({
+        properties: { [group.name]: item.value },
+        images: item.image ? [absoluteUrl(item.image)] : [],
+      })));
+    }
+
+    if (clickThrough) {
+      await this.clickThroughVariants(page, groups, variants, delay);
+    }
+
+    return Array.from(variants.values());
+  }
+
+  // Select each option without an image and read the main gallery image it
+  // shows. An image is only assigned when selecting the option changed it, so
+  // options that do not affect the gallery (e.g. sizes) stay without images.
+  async clickThroughVariants(page, groups, variants, delay) {
+    const groupLocator = page.locator(SKU_SELECTORS.group);
+    const readMainImage = () => page.locator(SKU_SELECTORS.mainImage).first()
+      .evaluate(img => img.getAttribute('data-src') || img.currentSrc || img.src, null, { timeout: 5000 })
+      .catch(() => null);
+
+    for (const group of groups) {
+      let previousImage = absoluteUrl(await readMainImage());
+
+      for (const item of group.items) {
+        const variant = variants.get(variantLabel({ [group.name]: item.value }));
+        if (!variant || variant.images.length > 0) continue;
+
+        try {
+          await groupLocator.nth(group.groupIndex).locator(SKU_SELECTORS.item).nth(item.itemIndex).click({ timeout: 5000 });
+          if (delay) await delay();
+        } catch (error) {
+          // Option not clickable (sold out, hidden); leave it without images
+          continue;
+        }
+
+        const image = absoluteUrl(await readMainImage());
+        if (image && image !== previousImage) variant.images.push(image);
+        previousImage = image;
+      }
+    }
+  }
+
+  clear() {
+    this.documents = [];
+  }
+}
+
+export { SkuExtractor, extractSkuVariants, variantLabel };
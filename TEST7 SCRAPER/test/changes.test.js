@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ChangeTracker, writeChangeReport } from '../changes.js';
+import { ImageDownloader, logger } from '../scraper.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+// Two different 1x1 PNGs: the picture before and after the supplier replaced it
+const RED = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAADElEQVQImWP4z8AAAAMBAQCc479ZAAAAAElFTkSuQmCC', 'base64');
+const BLUE = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAADElEQVQImWNgYPgPAAEDAQBdlO9aAAAAAElFTkSuQmCC', 'base64');
+
+// Stands in for a browser context's APIRequestContext, always serving `body`
+function serving(body) {
+  return { get: async () => ({ status: () => 200, headers: () => ({ 'content-type': 'image/png' }), body: async () => body }) };
+}
+
+function manifest(productId, imageUrls) {
+  return {
+    productUrl: `https://www.alibaba.com/product-detail/Item_${productId}.html`,
+    productId,
+    scrapedAt: '2026-10-19T06:00:00.000Z',
+    images: imageUrls.map((url, index) => ({ index, url, path: `Item_${index}.jpg` })),
+    variants: [],
+    videos: [],
+    product: {},
+  };
+}
+
+test('the change report names the page of every new and changed product', async () => {
+  const downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-changes-'));
+  try {
+    // Product folders exist by the time a product is compared
+    await fs.ensureDir(path.join(downloadDir, '1600000000001'));
+    await fs.ensureDir(path.join(downloadDir, '1600000000002'));
+    const newManifest = manifest('1600000000001', ['https://s.alicdn.com/@sc04/kf/H1.jpg']);
+    const firstRun = await new ChangeTracker(path.join(downloadDir, '1600000000001'), null).diff(newManifest);
+
+    const previous = manifest('1600000000002', ['https://s.alicdn.com/@sc04/kf/H2.jpg']);
+    const current = manifest('1600000000002', ['https://s.alicdn.com/@sc04/kf/H3.jpg']);
+    const changed = await new ChangeTracker(path.join(downloadDir, '1600000000002'), previous).diff(current);
+    assert.equal(changed.changed, true);
+
+    const results = [
+      // Results as scrapeProductPage returns them, and one without its URL
+      { success: true, productId: '1600000000001', productName: 'New', changes: firstRun },
+      { success: true, url: current.productUrl, productId: '1600000000002', productName: 'Changed', changes: changed },
+      { success: false, url: 'https://www.alibaba.com/product-detail/Gone_1600000000003.html', reason: 'not-found', error: 'Gone' },
+    ];
+    const { path: reportPath, report } = await writeChangeReport(downloadDir, results, '2026-10-19T06:00:00.000Z');
+
+    assert.deepEqual(report.new.map(product => product.url), [newManifest.productUrl]);
+    assert.deepEqual(report.changed.map(product => product.url), [current.productUrl]);
+    assert.deepEqual(report.failed.map(product => product.url), [results[2].url]);
+    assert.deepEqual((await fs.readJson(reportPath)).new, report.new);
+  } finally {
+    await fs.remove(downloadDir);
+  }
+});
+
+test('a picture replaced under the same CDN key is downloaded again and reported as changed', async () => {
+  const downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-changes-'));
+  try {
+    const downloader = new ImageDownloader(downloadDir, { minWidth: 1, minHeight: 1 });
+    const productDir = downloader.getProductDir('1600000000001');
+    const url = 'https://s.alicdn.com/@sc04/kf/H1.png';
+    const run = async (previous, body) => {
+      const changes = new ChangeTracker(productDir, previous, '2026-10-19T06:00:00.000Z');
+      await changes.prepareImages([{ url, path: 'Item_0.png' }]);
+      const { downloaded } = await downloader.downloadImages([url], '1600000000001', 'Item', {
+        request: serving(body),
+        refresh: Boolean(previous),
+        replacing: (filePath, imageUrl) => changes.replaceImage(filePath, imageUrl),
+      });
+      const current = {
+        ...manifest('1600000000001', []),
+        images: downloaded.map(download => ({ index: download.index, url: download.url, path: path.relative(productDir, download.filePath), sha256: download.sha256 })),
+      };
+      return { current, report: await changes.diff(current) };
+    };
+
+    const first = await run(null, RED);
+    const same = await run(first.current, RED);
+    assert.equal(same.report.changed, false);
+    assert.equal(same.report.images.unchanged, 1);
+
+    const replaced = await run(same.current, BLUE);
+    assert.deepEqual(replaced.report.images.changed, [{
+      url,
+      index: 0,
+      path: 'Item_0.png',
+      archivedPath: path.join('archive', '2026-10-19T06-00-00-000Z', 'Item_0.png'),
+    }]);
+    assert.deepEqual(await fs.readFile(path.join(productDir, 'Item_0.png')), BLUE);
+    assert.deepEqual(await fs.readFile(path.join(productDir, replaced.report.images.changed[0].archivedPath)), RED);
+  } finally {
+    await fs.remove(downloadDir);
+  }
+});
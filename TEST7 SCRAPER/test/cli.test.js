@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { loadConfig, ConfigError } from '../cli.js';
+import { logger } from '../scraper.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+// Load options with this config.json, environment and flags
+async function withConfigFile(fileConfig, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-cli-'));
+  try {
+    const configPath = path.join(dir, 'config.json');
+    await fs.writeJson(configPath, fileConfig);
+    await fn((argv = [], env = {}) => loadConfig(['--config', configPath, ...argv], env), dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('flags beat environment variables, which beat the config file, which beats the defaults', async () => {
+  await withConfigFile({ timeout: 30000, retryAttempts: 5, concurrency: 2, downloadDir: 'out' }, (load, dir) => {
+    const { options } = load(['--retries', '7'], { SCRAPER_RETRY_ATTEMPTS: '6', SCRAPER_CONCURRENCY: '4' });
+
+    assert.equal(options.retryAttempts, 7);
+    assert.equal(options.concurrency, 4);
+    assert.equal(options.timeout, 30000);
+    assert.equal(options.retryDelay, 5000);
+    // Relative paths in the file are taken from the file's folder
+    assert.equal(options.downloadDir, path.join(dir, 'out'));
+  });
+});
+
+test('values are coerced to their option type', async () => {
+  await withConfigFile({ logMaxSize: '512kb', imageRoles: ['gallery', 'description'] }, (load) => {
+    const { options } = load(['--interval', '6h', '--thumbnails', '200,400'], {
+      SCRAPER_HEADLESS: 'yes',
+      SCRAPER_LOG_MAX_FILES: '3',
+      SCRAPER_IMAGE_ROLES: 'gallery, sku',
+    });
+
+    assert.equal(options.headless, true);
+    assert.equal(options.logMaxSize, 512 * 1024);
+    assert.equal(options.logMaxFiles, 3);
+    assert.deepEqual(options.imageRoles, ['gallery', 'sku']);
+    assert.equal(options.watchInterval, 6 * 60 * 60 * 1000);
+    assert.deepEqual(options.thumbnailSizes, [200, 400]);
+  });
+});
+
+test('invalid values name the option and where they came from', async () => {
+  await withConfigFile({ timeout: -1 }, (load) => {
+    assert.throws(() => load(), { name: 'ConfigError', message: /"timeout" from config\.json: expected a non-negative integer/ });
+  });
+  await withConfigFile({ colour: 'red' }, (load) => {
+    assert.throws(() => load(), { message: /Unknown option "colour"/ });
+  });
+  await withConfigFile({}, (load) => {
+    assert.throws(() => load([], { SCRAPER_HEADLESS: 'maybe' }), { message: /"headless" from \$SCRAPER_HEADLESS: expected a boolean/ });
+    assert.throws(() => load(['--download-via', 'ftp']), { message: /"downloadVia" from --download-via: expected one of http, browser/ });
+    assert.throws(() => load(['--interval', '0']), ConfigError);
+    assert.throws(() => load(['--headless', '--headed']), { message: /cannot be used together/ });
+  });
+});
+
+test('a config file given with --config must exist', () => {
+  assert.throws(() => loadConfig(['--config', path.join(os.tmpdir(), 'scraper-missing-config.json')], {}), { message: /Config file not found/ });
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { DebugRecorder } from '../debug-bundle.js';
+
+const PRODUCT_URL = 'https://www.alibaba.com/product-detail/Chair_1600000000001.html';
+const CAPTCHA_URL = 'https://www.alibaba.com//_____tmd_____/punish?x5secdata=abc';
+
+// A page whose screenshot fails, as after a renderer crash; its response
+// and requestfailed listeners can be fired with emit()
+function fakePage() {
+  const listeners = {};
+  return {
+    on: (event, listener) => { listeners[event] = listener; },
+    emit: (event, value) => listeners[event](value),
+    isClosed: () => false,
+    url: () => CAPTCHA_URL,
+    title: async () => 'Captcha Interception',
+    content: async () => '<html><body>Please slide to verify</body></html>',
+    screenshot: async () => { throw new Error('Target crashed'); },
+  };
+}
+
+function fakeRequest(url, method = 'GET', resourceType = 'document') {
+  return { url: () => url, method: () => method, resourceType: () => resourceType, failure: () => ({ errorText: 'net::ERR_CONNECTION_RESET' }) };
+}
+
+function fakeResponse(url, status, contentType) {
+  return { url: () => url, status: () => status, headers: () => ({ 'content-type': contentType }), request: () => fakeRequest(url) };
+}
+
+test('a bundle keeps the attempt\'s responses and page, and names the artifacts it could not take', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-debug-'));
+  try {
+    const page = fakePage();
+    const recorder = new DebugRecorder(dir);
+    await recorder.attach({}, page);
+
+    page.emit('response', fakeResponse(PRODUCT_URL, 200, 'text/html'));
+    // A new attempt starts from an empty response list
+    await recorder.begin();
+    page.emit('response', fakeResponse(CAPTCHA_URL, 200, 'text/html; charset=utf-8'));
+    page.emit('requestfailed', fakeRequest('https://s.alicdn.com/@sc04/kf/H1.jpg', 'GET', 'image'));
+
+    const bundleDir = await recorder.save({ url: PRODUCT_URL, productId: '1600000000001', attempt: 2, reason: 'captcha' });
+    assert.equal(path.dirname(bundleDir), path.join(dir, '1600000000001'));
+
+    const bundle = await fs.readJson(path.join(bundleDir, 'bundle.json'));
+    assert.equal(bundle.reason, 'captcha');
+    assert.equal(bundle.finalUrl, CAPTCHA_URL);
+    assert.equal(bundle.title, 'Captcha Interception');
+    assert.equal(bundle.responses, 2);
+    assert.deepEqual(bundle.files, ['page.html', 'responses.json']);
+    assert.deepEqual(bundle.errors, { 'screenshot.png': 'Target crashed' });
+    assert.match(await fs.readFile(path.join(bundleDir, 'page.html'), 'utf8'), /slide to verify/);
+
+    const { total, dropped, responses } = await fs.readJson(path.join(bundleDir, 'responses.json'));
+    assert.equal(total, 2);
+    assert.equal(dropped, 0);
+    assert.deepEqual(responses.map(({ time, ...response }) => response), [
+      { method: 'GET', url: CAPTCHA_URL, status: 200, contentType: 'text/html; charset=utf-8', resourceType: 'document' },
+      { method: 'GET', url: 'https://s.alicdn.com/@sc04/kf/H1.jpg', status: null, contentType: null, resourceType: 'image', error: 'net::ERR_CONNECTION_RESET' },
+    ]);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('a bundle is still written when the page is already closed', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-debug-'));
+  try {
+    const recorder = new DebugRecorder(dir);
+    await recorder.attach({}, { ...fakePage(), isClosed: () => true });
+
+    const bundle = await fs.readJson(path.join(await recorder.save({ url: PRODUCT_URL, reason: 'timeout' }), 'bundle.json'));
+    assert.equal(bundle.finalUrl, null);
+    assert.deepEqual(bundle.files, ['responses.json']);
+    assert.deepEqual(bundle.errors, { page: 'The page was closed' });
+    assert.ok(bundle.savedAt);
+  } finally {
+    await fs.remove(dir);
+  }
+});
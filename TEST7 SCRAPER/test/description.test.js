@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { DescriptionExtractor, writeDescription } from '../description.js';
+import { getAdapterByName } from '../site-adapters.js';
+
+const DESCRIPTION_URL = 'https://www.alibaba.com/product-detail/description/1600000000001.html';
+
+test('description HTML is taken from HTML or from the markup inside JSON(P)', () => {
+  const extractor = new DescriptionExtractor(getAdapterByName('alibaba'));
+
+  assert.equal(extractor.addResponse(DESCRIPTION_URL, '<div><img src="//s.alicdn.com/@sc04/kf/H1.jpg"></div>'), true);
+  assert.equal(extractor.addResponse(DESCRIPTION_URL, 'jsonp1({"data":{"title":"<b>Chair</b>","content":"<p>Mesh back</p><img src=x.jpg>"}})'), true);
+  assert.equal(extractor.addResponse(DESCRIPTION_URL, { data: { descIframe: null } }), false);
+  // Only the adapter's description URLs are read
+  assert.equal(extractor.addResponse('https://www.alibaba.com/api/detail', '<p>Not the description</p>'), false);
+
+  assert.deepEqual(extractor.sources.map(source => source.html), [
+    '<div><img src="//s.alicdn.com/@sc04/kf/H1.jpg"></div>',
+    '<p>Mesh back</p><img src=x.jpg>',
+  ]);
+});
+
+test('saved descriptions point at the downloaded images, or their URL when there is none', async () => {
+  const productDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-description-'));
+  try {
+    const images = ['https://s.alicdn.com/@sc04/kf/H1.jpg_960x960.jpg', 'https://s.alicdn.com/@sc04/kf/H2.jpg?a=1&b=2'];
+    const description = {
+      sourceUrl: DESCRIPTION_URL,
+      images,
+      html: '<p>Mesh back</p><img src="__DESC_IMAGE_0__"><img src="__DESC_IMAGE_1__">',
+      markdown: 'Mesh back\n\n![](__DESC_IMAGE_0__)\n\n![](__DESC_IMAGE_1__)',
+    };
+    // Downloads are keyed by the normalised URL
+    const files = new Map([['https://s.alicdn.com/@sc04/kf/H1.jpg', path.join(productDir, 'description', 'Chair_desc_0.jpg')]]);
+
+    const written = await writeDescription(productDir, description, files, url => url.replace(/_960x960\.jpg$/, ''));
+
+    const html = await fs.readFile(written.html, 'utf8');
+    assert.match(html, /<img src="description\/Chair_desc_0\.jpg"><img src="https:\/\/s\.alicdn\.com\/@sc04\/kf\/H2\.jpg\?a=1&amp;b=2">/);
+    assert.equal(await fs.readFile(written.markdown, 'utf8'),
+      'Mesh back\n\n![](description/Chair_desc_0.jpg)\n\n![](https://s.alicdn.com/@sc04/kf/H2.jpg?a=1&b=2)\n');
+  } finally {
+    await fs.remove(productDir);
+  }
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProductCollector, findNextPage } from '../discovery.js';
+import { getAdapterByName } from '../site-adapters.js';
+
+const alibaba = getAdapterByName('alibaba');
+const LISTING_URL = 'https://www.alibaba.com/trade/search?SearchText=chair';
+
+function product(id, title = '') {
+  return { href: `https://www.alibaba.com/product-detail/Chair_${id}.html?spm=a2700`, title };
+}
+
+test('each product is kept once, under the longest title its card links with', () => {
+  const collector = new ProductCollector();
+  const first = collector.addLinks([
+    product('1600000000001'),
+    product('1600000000001', 'Ergonomic office chair'),
+    product('1600000000002', 'Gaming chair'),
+    { href: 'https://www.alibaba.com/showroom/chair.html', title: 'Chairs' },
+  ], alibaba, { source: LISTING_URL, page: 1 });
+  const second = collector.addLinks([product('1600000000002', 'Gaming chair'), product('1600000000003', 'Stool')], alibaba, { page: 2 });
+
+  assert.deepEqual(first, { found: 2, added: 2 });
+  assert.deepEqual(second, { found: 1, added: 1 });
+  assert.deepEqual(collector.getProducts()[0], {
+    url: 'https://www.alibaba.com/product-detail/Chair_1600000000001.html',
+    productId: '1600000000001',
+    title: 'Ergonomic office chair',
+    source: LISTING_URL,
+    page: 1,
+  });
+  assert.deepEqual(collector.getProducts().map(item => item.productId), ['1600000000001', '1600000000002', '1600000000003']);
+});
+
+test('filters apply to the title and URL, and the limit stops collecting', () => {
+  const collector = new ProductCollector({ maxProducts: 2, match: /chair/i, exclude: /gaming/i });
+  collector.addLinks([
+    { href: 'https://www.alibaba.com/product-detail/Stool_1600000000001.html', title: 'Bar stool' },
+    product('1600000000002', 'Gaming seat'),
+    product('1600000000003', 'Office seat'),
+    product('1600000000004', 'Desk'),
+    product('1600000000005', 'Lounge'),
+  ], alibaba);
+
+  // Desk matches through its URL slug; Lounge comes after the limit
+  assert.equal(collector.full, true);
+  assert.equal(collector.filtered, 2);
+  assert.deepEqual(collector.getProducts().map(item => item.productId), ['1600000000003', '1600000000004']);
+});
+
+test('the next page is a link, a button to click or the page parameter', async () => {
+  const listing = (next, url = LISTING_URL) => ({ url: () => url, evaluate: async () => next });
+
+  assert.deepEqual(await findNextPage(listing({ href: `${LISTING_URL}&page=2` }), alibaba, LISTING_URL, 1), { url: `${LISTING_URL}&page=2` });
+  assert.deepEqual(await findNextPage(listing({ click: true }), alibaba, LISTING_URL, 1), { click: '[data-scraper-next]' });
+  // A link back to the same page is not a next page
+  assert.deepEqual(await findNextPage(listing({ href: LISTING_URL }), alibaba, LISTING_URL, 1), { url: `${LISTING_URL}&page=2` });
+  assert.equal(await findNextPage(listing(null), alibaba, 'https://www.alibaba.com/showroom/chair.html', 1), null);
+});
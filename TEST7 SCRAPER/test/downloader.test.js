@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ImageDownloader, logger } from '../scraper.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+// A 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const ERROR_PAGE = Buffer.from('<!DOCTYPE html><html><body>Service unavailable</body></html>');
+
+// Stands in for a browser context's APIRequestContext: `serve(url, headers)`
+// answers { status, headers, body }; every request is recorded in `calls`
+function fakeRequest(serve) {
+  const calls = [];
+  return {
+    calls,
+    get: async (url, { headers }) => {
+      calls.push({ url, range: headers.Range || null });
+      const { status = 200, headers: responseHeaders = {}, body = Buffer.alloc(0) } = serve(url, headers);
+      return { status: () => status, headers: () => responseHeaders, body: async () => body };
+    },
+  };
+}
+
+async function withDownloader(fn) {
+  const downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-download-'));
+  try {
+    await fn(new ImageDownloader(downloadDir, { minWidth: 1, minHeight: 1 }), downloadDir);
+  } finally {
+    await fs.remove(downloadDir);
+  }
+}
+
+test('a rejected body leaves no partial file and the retry starts over', async () => {
+  await withDownloader(async (downloader, downloadDir) => {
+    const url = 'https://s.alicdn.com/@sc04/kf/H1234.png';
+    const productDir = path.join(downloadDir, '1600000000001');
+
+    const errorPage = fakeRequest(() => ({ headers: { 'content-type': 'text/html' }, body: ERROR_PAGE }));
+    await assert.rejects(downloader.downloadImageWithInfo(url, '1600000000001', 'Chair', 0, { request: errorPage }), { name: 'ImageValidationError' });
+    assert.deepEqual(await fs.readdir(productDir), []);
+
+    const image = fakeRequest(() => ({ headers: { 'content-type': 'image/png' }, body: PNG }));
+    const download = await downloader.downloadImageWithInfo(url, '1600000000001', 'Chair', 0, { request: image });
+    assert.deepEqual(image.calls, [{ url, range: null }]);
+    assert.deepEqual(await fs.readFile(download.filePath), PNG);
+  });
+});
+
+// First run: the large rendition does not exist and the original is cut off
+// after 20 bytes, which leaves its partial file behind
+async function interruptedDownload(downloader, renditions) {
+  const [large, original] = renditions();
+  const cutOff = fakeRequest((url) => (url === large
+    ? { status: 404 }
+    : { headers: { 'content-type': 'image/png', 'content-length': String(PNG.length) }, body: PNG.subarray(0, 20) }));
+  await assert.rejects(downloader.downloadImageWithInfo(original, '1600000000001', 'Chair', 0, { request: cutOff, renditions }), /Incomplete download/);
+}
+
+test('the partial file of one rendition is never resumed from another', async () => {
+  await withDownloader(async (downloader, downloadDir) => {
+    const original = 'https://s.alicdn.com/@sc04/kf/H1234.png';
+    const large = `${original}_960x960.png`;
+    const renditions = () => [large, original];
+    await interruptedDownload(downloader, renditions);
+
+    // The large rendition is back: it is fetched from the start
+    const image = fakeRequest(() => ({ headers: { 'content-type': 'image/png' }, body: PNG }));
+    const download = await downloader.downloadImageWithInfo(original, '1600000000001', 'Chair', 0, { request: image, renditions });
+    assert.deepEqual(image.calls, [{ url: large, range: null }]);
+    assert.deepEqual(await fs.readFile(download.filePath), PNG);
+    assert.deepEqual(await fs.readdir(path.join(downloadDir, '1600000000001')), [path.basename(download.filePath)]);
+  });
+});
+
+test('a cut-off rendition is resumed from the same URL', async () => {
+  await withDownloader(async (downloader) => {
+    const original = 'https://s.alicdn.com/@sc04/kf/H1234.png';
+    const large = `${original}_960x960.png`;
+    const renditions = () => [large, original];
+    await interruptedDownload(downloader, renditions);
+
+    const rest = fakeRequest((url) => (url === large
+      ? { status: 404 }
+      : { status: 206, headers: { 'content-type': 'image/png', 'content-range': `bytes 20-${PNG.length - 1}/${PNG.length}` }, body: PNG.subarray(20) }));
+    const download = await downloader.downloadImageWithInfo(original, '1600000000001', 'Chair', 0, { request: rest, renditions });
+    assert.deepEqual(rest.calls, [{ url: large, range: null }, { url: original, range: 'bytes=20-' }]);
+    assert.deepEqual(await fs.readFile(download.filePath), PNG);
+  });
+});
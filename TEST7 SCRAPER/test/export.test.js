@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { writeExports } from '../export.js';
+
+const PRODUCT_URL = 'https://www.alibaba.com/product-detail/Chair_1600000000001.html';
+
+// Cells of a CSV export by column name; the test data has no quoted cells
+function readCsv(filePath) {
+  const [header, ...lines] = fs.readFileSync(filePath, 'utf8').replace(/^\ufeff/, '').trim().split('\r\n');
+  const columns = header.split(',');
+  return lines.map(line => Object.fromEntries(line.split(',').map((cell, index) => [columns[index], cell])));
+}
+
+test('feeds of a product scraped in this run link its product page', async () => {
+  const downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-export-'));
+  try {
+    const productDir = path.join(downloadDir, '1600000000001');
+    await fs.outputFile(path.join(productDir, 'Chair_0.jpg'), 'image');
+    await fs.writeJson(path.join(productDir, 'manifest.json'), {
+      productUrl: PRODUCT_URL,
+      productId: '1600000000001',
+      productName: 'Chair',
+      scrapedAt: '2026-10-19T06:00:00.000Z',
+      images: [{ index: 0, path: 'Chair_0.jpg', url: 'https://s.alicdn.com/@sc04/kf/H1234.jpg' }],
+      variants: [],
+      product: { title: 'Chair' },
+    });
+
+    // The result scrapeMultipleProducts hands to the export, manifest included
+    const result = {
+      success: true,
+      url: PRODUCT_URL,
+      reason: null,
+      productId: '1600000000001',
+      productName: 'Chair',
+      images: [path.join(productDir, 'Chair_0.jpg')],
+      totalFound: 1,
+      manifest: path.join(productDir, 'manifest.json'),
+    };
+    // Results without a URL fall back to the manifest's
+    const { url, ...withoutUrl } = result;
+
+    for (const scraped of [result, withoutUrl]) {
+      const written = await writeExports([scraped], {
+        formats: ['csv', 'jsonl', 'woocommerce'],
+        downloadDir,
+        exportDir: path.join(downloadDir, scraped.url ? 'with-url' : 'without-url'),
+      });
+      const files = Object.fromEntries(written.map(entry => [entry.format, entry.path]));
+
+      assert.equal(readCsv(files.csv)[0].source_url, url);
+      assert.equal(JSON.parse(fs.readFileSync(files.jsonl, 'utf8')).url, url);
+      assert.equal(readCsv(files.woocommerce)[0]['Meta: _source_url'], url);
+    }
+  } finally {
+    await fs.remove(downloadDir);
+  }
+});
+
+test('variant images keep their source URL when an earlier one failed', async () => {
+  const downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-export-'));
+  try {
+    const productDir = path.join(downloadDir, '1600000000001');
+    const failed = 'https://s.alicdn.com/@sc04/kf/Hred1.jpg';
+    const saved = 'https://s.alicdn.com/@sc04/kf/Hred2.jpg';
+    await fs.outputFile(path.join(productDir, 'sku', 'Color=Red', 'Chair_1.jpg'), 'image');
+    await fs.writeJson(path.join(productDir, 'manifest.json'), {
+      productUrl: PRODUCT_URL,
+      productId: '1600000000001',
+      productName: 'Chair',
+      scrapedAt: '2026-10-19T06:00:00.000Z',
+      images: [],
+      variants: [{
+        label: 'Color=Red',
+        properties: { Color: 'Red' },
+        // The first image failed to download: files and images do not line up
+        images: [failed, saved],
+        files: ['sku/Color=Red/Chair_1.jpg'],
+        downloads: [{ url: saved, path: 'sku/Color=Red/Chair_1.jpg' }],
+      }],
+      product: { title: 'Chair' },
+    });
+
+    const written = await writeExports([{
+      success: true,
+      url: PRODUCT_URL,
+      productId: '1600000000001',
+      productName: 'Chair',
+      manifest: path.join(productDir, 'manifest.json'),
+    }], { formats: ['jsonl', 'shopify'], downloadDir, exportDir: path.join(downloadDir, 'exports') });
+    const files = Object.fromEntries(written.map(entry => [entry.format, entry.path]));
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(files.jsonl, 'utf8')).variants[0].images, [
+      { path: '1600000000001/sku/Color=Red/Chair_1.jpg', url: saved, sourceUrl: saved },
+    ]);
+    assert.equal(readCsv(files.shopify)[0]['Variant Image'], saved);
+  } finally {
+    await fs.remove(downloadDir);
+  }
+});
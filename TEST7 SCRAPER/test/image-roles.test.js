@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ImageRoleClassifier } from '../image-roles.js';
+
+const API_URL = 'https://www.alibaba.com/event/app/productDetail/get.htm';
+const image = name => `https://s.alicdn.com/@sc04/kf/${name}.jpg`;
+
+test('images take their role from the JSON path or the response they came in', () => {
+  const classifier = new ImageRoleClassifier();
+  classifier.addResponse(API_URL, JSON.stringify({
+    data: {
+      mediaItems: [{ imageUrl: image('H2') }, { imageUrl: `${image('H1')}_960x960.jpg` }],
+      skuAttrs: [{ values: [{ image: image('Hsku') }] }],
+      recommendProducts: [{ images: [image('Hother')] }],
+      companyInfo: { logo: image('Hlogo') },
+    },
+  }));
+  classifier.addResponse('https://www.alibaba.com/product-detail/description/1600000000001.html', `<img src="${image('Hdesc')}">`);
+
+  assert.deepEqual(classifier.classify(image('H2')), { role: 'gallery', order: 0 });
+  // Any rendition of a picture shares its role
+  assert.deepEqual(classifier.classify(image('H1')), { role: 'gallery', order: 1 });
+  assert.equal(classifier.classify(image('Hsku')).role, 'sku');
+  assert.equal(classifier.classify(image('Hother')).role, 'recommendation');
+  assert.equal(classifier.classify(image('Hlogo')).role, 'supplier');
+  assert.deepEqual(classifier.classify(image('Hdesc')), { role: 'description', order: 0 });
+  assert.deepEqual(classifier.classify(image('Hunseen')), { role: 'unknown', order: null });
+});
+
+test('stronger hints win: the page beats JSON, which beats a response body', () => {
+  const classifier = new ImageRoleClassifier();
+  classifier.addHint(image('H1'), 'description', 0, 1);
+  classifier.addHint(image('H1'), 'gallery', 3, 2);
+  classifier.addHint(image('H1'), 'review', null, 1);
+  assert.equal(classifier.classify(image('H1')).role, 'gallery');
+  classifier.addHint(image('H1'), 'sku', null, 3);
+  assert.equal(classifier.classify(image('H1')).role, 'sku');
+});
+
+test('only the configured roles are kept, gallery first and in page order', () => {
+  const classifier = new ImageRoleClassifier();
+  classifier.addHint(image('Hdesc'), 'description', 0);
+  classifier.addHint(image('H2'), 'gallery', 1);
+  classifier.addHint(image('H1'), 'gallery', 0);
+  classifier.addHint(image('Hreview'), 'review');
+
+  const urls = [image('Hunseen'), image('Hdesc'), image('Hreview'), image('H2'), image('H1')];
+  assert.deepEqual(classifier.filterAndSort(urls), [image('H1'), image('H2'), image('Hdesc'), image('Hunseen')]);
+  assert.deepEqual(classifier.filterAndSort(urls, ['gallery', 'review']), [image('H1'), image('H2'), image('Hreview')]);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ImageRules, COMMON_EXCLUDE_PATTERNS, DEFAULT_IMAGE_RULES } from '../image-rules.js';
+import { getAdapterByName } from '../site-adapters.js';
+import { ImageUrlExtractor, logger } from '../scraper.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+const alibaba = getAdapterByName('alibaba');
+
+test('adapter defaults, then the global rules, then the site entry', () => {
+  const rules = ImageRules.forAdapter(alibaba, {
+    minSize: 200,
+    minScore: 2,
+    exclude: ['banner'],
+    // Same name as an adapter rule: replaces it, a weight of 0 turns it off
+    rules: [{ name: 'high-res', pattern: '_960x960', weight: 0 }, { name: 'white', pattern: 'white', weight: 1 }],
+    sites: {
+      alibaba: { minSize: 150, exclude: ['promo'] },
+      1688: { minSize: 500 },
+    },
+  }).describe();
+
+  assert.deepEqual(rules.hosts, ['alicdn.com']);
+  assert.equal(rules.minSize, 150);
+  assert.equal(rules.minScore, 2);
+  assert.deepEqual(rules.exclude, [...COMMON_EXCLUDE_PATTERNS.map(String), '/banner/i', '/promo/i']);
+  assert.deepEqual(rules.rules.map(rule => [rule.name, rule.weight]), [
+    ['sc-subdomain', 2],
+    ['kf-folder', 2],
+    ['double-size', -2],
+    ['high-res', 0],
+    ['white', 1],
+  ]);
+});
+
+test('inherit: false starts a site from no rules at all', () => {
+  const rules = ImageRules.forAdapter(alibaba, {
+    minSize: 200,
+    sites: { alibaba: { inherit: false, include: ['/kf/'] } },
+  });
+
+  assert.deepEqual(rules.describe(), {
+    hosts: [],
+    include: ['/\\/kf\\//i'],
+    exclude: [],
+    minSize: 0,
+    rules: [],
+    minScore: 0,
+    maxImages: 0,
+  });
+  // No host list, no common exclusions, no size limit
+  assert.equal(rules.accepts('https://cdn.example.com/kf/logo_50x50.png'), true);
+  assert.equal(rules.accepts('https://s.alicdn.com/img/H1.jpg'), false);
+});
+
+test('images below minScore are dropped unless none reach it', () => {
+  const rules = ImageRules.forAdapter(alibaba);
+  const plain = 'https://img.alicdn.com/imgs/H1.jpg';
+  const kf = 'https://s.alicdn.com/kf/H2.jpg';
+
+  assert.deepEqual(rules.select([plain, kf]), [kf]);
+
+  const decisions = new Map();
+  assert.deepEqual(rules.select([plain], (url, decision) => decisions.set(url, decision)), [plain]);
+  assert.deepEqual(decisions.get(plain), { kept: true, score: 0, reasons: ['no image reached minScore 1'] });
+});
+
+test('maxImages keeps the best scores, earlier images winning ties, in their order', () => {
+  const rules = new ImageRules({ rules: [{ name: 'large', pattern: 'large', weight: 1 }] }, { maxImages: 3 });
+  const urls = ['a.jpg', 'b.jpg', 'c-large.jpg', 'd.jpg', 'e-large.jpg'];
+
+  const dropped = [];
+  assert.deepEqual(rules.cap(urls, (url, decision) => dropped.push([url, decision.reasons])), ['a.jpg', 'c-large.jpg', 'e-large.jpg']);
+  assert.deepEqual(dropped, [['b.jpg', ['beyond maxImages 3']], ['d.jpg', ['beyond maxImages 3']]]);
+});
+
+test('minSize drops size suffixes below it, judged by the URL that is downloaded', () => {
+  const rules = new ImageRules(DEFAULT_IMAGE_RULES);
+  const thumbnail = 'https://s.alicdn.com/@sc04/kf/H1.jpg_50x50.jpg';
+
+  assert.deepEqual(rules.check(thumbnail), { kept: false, reasons: ['size 50 is below minSize 100'] });
+  // A thumbnail standing for its original upload is kept
+  assert.deepEqual(rules.check(thumbnail, alibaba.normalizeImageUrl(thumbnail)), { kept: true, reasons: [] });
+  assert.equal(rules.accepts('https://s.alicdn.com/kf/H1.jpg_100x100.jpg'), true);
+  assert.equal(new ImageRules({ ...DEFAULT_IMAGE_RULES, minSize: 101 }).accepts('https://s.alicdn.com/kf/H1.jpg_100x100.jpg'), false);
+});
+
+test('gallery thumbnails in responses become their full-size image', () => {
+  const extractor = new ImageUrlExtractor(alibaba);
+  extractor.extractFromResponse('https://www.alibaba.com/api/detail', {
+    mediaItems: ['https://s.alicdn.com/@sc04/kf/H1.jpg_50x50.jpg', 'https://s.alicdn.com/@sc04/kf/H2_80x80.jpg'],
+  }, '1600000000001');
+
+  assert.deepEqual(extractor.getProductUrls('1600000000001'), [
+    'https://s.alicdn.com/@sc04/kf/H1.jpg',
+    'https://s.alicdn.com/@sc04/kf/H2.jpg',
+  ]);
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { JobStore, JOB_FILE } from '../job-store.js';
+
+const urls = ['1', '2', '3', '4'].map(id => `https://www.alibaba.com/product-detail/Chair_160000000000${id}.html`);
+
+async function withJobFile(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-jobs-'));
+  try {
+    await fn(path.join(dir, JOB_FILE));
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('an interrupted batch resumes with the jobs that did not finish', async () => {
+  await withJobFile((jobFile) => {
+    const store = new JobStore(jobFile).open();
+    store.queue(urls);
+    store.start(urls[0]);
+    store.complete(urls[0], { images: 4 });
+    store.start(urls[1]);
+    store.fail(urls[1], 'not-found', 'HTTP 404');
+    store.start(urls[2]);
+    store.fail(urls[2], 'captcha', 'Captcha page served');
+    // The process dies while scraping the last one, leaving half a line
+    store.start(urls[3]);
+    store.close();
+    fs.appendFileSync(jobFile, '{"type":"done","url":');
+
+    const resumed = new JobStore(jobFile).open();
+    try {
+      assert.equal(resumed.skippedLines, 1);
+      assert.deepEqual(urls.map(url => resumed.shouldRun(url)), [false, false, true, true]);
+      assert.equal(resumed.get(urls[3]).status, 'running');
+      assert.deepEqual(resumed.get(urls[0]).result, { images: 4 });
+      assert.deepEqual(resumed.summary(), { total: 4, pending: 0, running: 1, done: 1, failed: 2, reasons: { 'not-found': 1, captcha: 1 } });
+      // Compacted to one line per job
+      assert.equal(fs.readFileSync(jobFile, 'utf8').trim().split('\n').length, 4);
+    } finally {
+      resumed.close();
+    }
+  });
+});
+
+test('failed jobs are retried until they run out of attempts, or all of them with retryFailed', async () => {
+  await withJobFile((jobFile) => {
+    const store = new JobStore(jobFile, { maxAttempts: 2 }).open();
+    try {
+      store.queue([urls[0], urls[1]]);
+      for (let attempt = 0; attempt < 2; attempt++) {
+        assert.equal(store.shouldRun(urls[0]), true);
+        store.start(urls[0]);
+        store.fail(urls[0], 'timeout');
+      }
+      store.start(urls[1]);
+      store.fail(urls[1], 'no-images');
+      assert.equal(store.shouldRun(urls[0]), false);
+      assert.equal(store.shouldRun(urls[1]), false);
+
+      store.reset([urls[0]]);
+      assert.equal(store.get(urls[0]).attempts, 0);
+      assert.equal(store.shouldRun(urls[0]), true);
+      assert.equal(new JobStore(jobFile, { retryFailed: true }).load().shouldRun(urls[1]), true);
+    } finally {
+      store.close();
+    }
+  });
+});
+
+test('a job file is locked while a live process uses it', async () => {
+  await withJobFile((jobFile) => {
+    // Held by another running process: the test runner
+    fs.writeFileSync(`${jobFile}.lock`, String(process.ppid));
+    assert.throws(() => new JobStore(jobFile).open(), new RegExp(`in use by process ${process.ppid}`));
+
+    // Left behind by a process that is gone
+    fs.writeFileSync(`${jobFile}.lock`, '999999999');
+    const store = new JobStore(jobFile).open();
+    assert.equal(fs.readFileSync(`${jobFile}.lock`, 'utf8'), String(process.pid));
+    store.close();
+    assert.equal(fs.existsSync(`${jobFile}.lock`), false);
+    assert.throws(() => store.start(urls[0]), /not open/);
+  });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { AlibabaImageScraper, logger } from '../scraper.js';
+import { Logger } from '../logger.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+test('the logging keys of a scraper\'s options configure the logger', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-logger-'));
+  try {
+    const logFile = path.join(dir, 'scraper.log');
+    new AlibabaImageScraper({ downloadDir: dir, logFile, logLevel: 'silent', logFileLevel: 'warning', logFormat: 'text' });
+    logger.info('Not for the file');
+    logger.warning('For the file', { productId: '1600000000001' });
+    await logger.close();
+
+    const lines = (await fs.readFile(logFile, 'utf8')).trim().split('\n');
+    assert.equal(lines.length, 1);
+    assert.match(lines[0], /^\[\S+\] \[WARNING\] For the file \{"productId":"1600000000001"\}$/);
+  } finally {
+    logger.configure({ logLevel: 'silent', logFile: null });
+    await fs.remove(dir);
+  }
+});
+
+test('a full log file is rotated, keeping logMaxFiles older files', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-logger-'));
+  try {
+    const logFile = path.join(dir, 'scraper.log');
+    // Every line fills the file, so each batch goes to a new one
+    const fileLogger = new Logger({ logFile, logLevel: 'silent', logFormat: 'text', logMaxSize: 60, logMaxFiles: 2 });
+    for (const n of [1, 2, 3, 4]) {
+      fileLogger.info(`Line ${n}`);
+      await fileLogger.flush();
+    }
+    await fileLogger.close();
+
+    const read = async file => (await fs.readFile(file, 'utf8')).trim().replace(/^\[\S+\] \[INFO\] /, '');
+    assert.equal(await read(logFile), 'Line 4');
+    assert.equal(await read(`${logFile}.1`), 'Line 3');
+    assert.equal(await read(`${logFile}.2`), 'Line 2');
+    assert.equal(await fs.pathExists(`${logFile}.3`), false);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('with logRotateDaily, the first write of a new day starts a new file', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-logger-'));
+  try {
+    const logFile = path.join(dir, 'scraper.log');
+    await fs.writeFile(logFile, 'yesterday\n');
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    await fs.utimes(logFile, yesterday, yesterday);
+
+    const fileLogger = new Logger({ logFile, logLevel: 'silent', logMaxSize: 0, logRotateDaily: true });
+    fileLogger.info('Today', { productId: '1600000000001' });
+    await fileLogger.close();
+
+    assert.equal(await fs.readFile(`${logFile}.1`, 'utf8'), 'yesterday\n');
+    const entry = JSON.parse(await fs.readFile(logFile, 'utf8'));
+    assert.equal(entry.level, 'info');
+    assert.equal(entry.message, 'Today');
+    assert.deepEqual(entry.data, { productId: '1600000000001' });
+    assert.equal(entry.runId, fileLogger.runId);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { buildManifest, writeManifest, readManifest } from '../manifest.js';
+import { ImageRoleClassifier } from '../image-roles.js';
+import { getAdapterByName } from '../site-adapters.js';
+import { ImageUrlExtractor, logger } from '../scraper.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+// A 1x1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+const PRODUCT_URL = 'https://www.alibaba.com/product-detail/Chair_1600000000001.html';
+const API_URL = 'https://www.alibaba.com/event/app/productDetail/get.htm';
+
+test('images record where they were found, their role and what was saved', async () => {
+  const productDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-manifest-'));
+  try {
+    const gallery = 'https://s.alicdn.com/@sc04/kf/H1.png';
+    const inline = 'https://s.alicdn.com/@sc04/kf/H2.png';
+    await fs.writeFile(path.join(productDir, 'Chair_0.png'), PNG);
+    await fs.writeFile(path.join(productDir, 'Chair_1.png'), PNG);
+
+    const extractor = new ImageUrlExtractor(getAdapterByName('alibaba'));
+    extractor.addImageUrl(gallery, '1600000000001', { type: 'response', originalUrl: `${gallery}_80x80.png`, sourceUrl: API_URL });
+    const classifier = new ImageRoleClassifier();
+    classifier.addHint(gallery, 'gallery', 0);
+
+    const manifest = await buildManifest({
+      productDir,
+      productUrl: PRODUCT_URL,
+      productId: '1600000000001',
+      productName: 'Chair',
+      scrapedAt: '2026-10-19T06:00:00.000Z',
+      downloads: [
+        { index: 0, url: gallery, fetchedUrl: gallery, filePath: path.join(productDir, 'Chair_0.png'), contentType: 'image/png' },
+        // Already on disk: no fetched URL, the type is sniffed
+        { index: 1, url: inline, filePath: path.join(productDir, 'Chair_1.png') },
+      ],
+      failed: [{ url: 'https://s.alicdn.com/@sc04/kf/H3.png', error: 'HTTP 404' }],
+      extractor,
+      classifier,
+    });
+
+    assert.equal(manifest.manifestVersion, 1);
+    assert.deepEqual(manifest.images, [
+      {
+        index: 0,
+        role: 'gallery',
+        path: 'Chair_0.png',
+        originalUrl: `${gallery}_80x80.png`,
+        url: gallery,
+        fetchedUrl: gallery,
+        source: { type: 'response', url: API_URL },
+        bytes: PNG.length,
+        contentType: 'image/png',
+        width: 1,
+        height: 1,
+        sha256: crypto.createHash('sha256').update(PNG).digest('hex'),
+      },
+      {
+        index: 1,
+        role: 'unknown',
+        path: 'Chair_1.png',
+        originalUrl: inline,
+        url: inline,
+        fetchedUrl: null,
+        source: { type: 'unknown', url: null },
+        bytes: PNG.length,
+        contentType: 'image/png',
+        width: 1,
+        height: 1,
+        sha256: crypto.createHash('sha256').update(PNG).digest('hex'),
+      },
+    ]);
+    assert.deepEqual(manifest.failed, [{ url: 'https://s.alicdn.com/@sc04/kf/H3.png', error: 'HTTP 404' }]);
+
+    await writeManifest(productDir, manifest);
+    assert.deepEqual(await readManifest(productDir), manifest);
+    assert.equal(await fs.pathExists(path.join(productDir, 'manifest.json.part')), false);
+  } finally {
+    await fs.remove(productDir);
+  }
+});
+
+test('variant images are paired with their own files, and paths are relative', async () => {
+  const productDir = path.join(os.tmpdir(), 'scraper-manifest-variants');
+  const red = 'https://s.alicdn.com/@sc04/kf/Hred.png';
+  const blue = 'https://s.alicdn.com/@sc04/kf/Hblue.png';
+
+  const manifest = await buildManifest({
+    productDir,
+    productUrl: PRODUCT_URL,
+    productId: '1600000000001',
+    productName: 'Chair',
+    scrapedAt: '2026-10-19T06:00:00.000Z',
+    downloads: [],
+    extractor: new ImageUrlExtractor(getAdapterByName('alibaba')),
+    variants: [{
+      label: 'Color: Red',
+      properties: { Color: 'Red' },
+      images: [red, blue],
+      // The red image failed, so its only file is the blue one's
+      files: [path.join(productDir, 'variants', 'Color-Red_1.png')],
+      downloads: [{ url: blue, filePath: path.join(productDir, 'variants', 'Color-Red_1.png') }],
+    }],
+    duplicates: [{ url: 'https://s.alicdn.com/@sc04/kf/H2.png', index: 2, duplicateOf: 0, filePath: path.join(productDir, 'Chair_2.png'), match: 'sha256', distance: 0 }],
+    processed: null,
+    videos: [],
+  });
+
+  assert.deepEqual(manifest.variants[0].downloads, [{ url: blue, path: path.join('variants', 'Color-Red_1.png') }]);
+  assert.deepEqual(manifest.variants[0].files, [path.join('variants', 'Color-Red_1.png')]);
+  assert.deepEqual(manifest.duplicates, [{ url: 'https://s.alicdn.com/@sc04/kf/H2.png', index: 2, duplicateOf: 0, path: 'Chair_2.png', match: 'sha256', distance: 0 }]);
+  assert.equal(manifest.description, null);
+});
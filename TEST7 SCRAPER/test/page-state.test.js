@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PageStateError, detectPageState, failureReason, isRecoverable } from '../page-state.js';
+import { getAdapterByName } from '../site-adapters.js';
+
+const PRODUCT_URL = 'https://www.alibaba.com/product-detail/Chair_1600000000001.html';
+const alibaba = getAdapterByName('alibaba');
+
+// A loaded page as detectPageState sees it: its URL and what readPageState finds
+function page(url, state = {}) {
+  return {
+    url: () => url,
+    evaluate: async () => ({ title: 'Chair - Alibaba.com', text: 'Office chair. '.repeat(50), captcha: false, login: false, ...state }),
+  };
+}
+
+function response(status) {
+  return { status: () => status };
+}
+
+async function reasonOf(loaded, status = 200) {
+  const state = await detectPageState(loaded, response(status), PRODUCT_URL, alibaba);
+  if (state) assert.ok(state instanceof PageStateError);
+  return state && state.reason;
+}
+
+test('a product page is not flagged', async () => {
+  assert.equal(await reasonOf(page(PRODUCT_URL)), null);
+  // Short pages only count as captchas with captcha wording
+  assert.equal(await reasonOf(page(PRODUCT_URL, { text: 'Office chair' })), null);
+});
+
+test('captcha pages are told by URL, markers and text', async () => {
+  assert.equal(await reasonOf(page('https://www.alibaba.com//_____tmd_____/punish?x5secdata=abc')), 'captcha');
+  assert.equal(await reasonOf(page(PRODUCT_URL, { captcha: true })), 'captcha');
+  assert.equal(await reasonOf(page(PRODUCT_URL, { text: 'Please slide to verify' })), 'captcha');
+  assert.equal(await reasonOf(page(PRODUCT_URL, { title: 'Verify you are human' })), 'captcha');
+});
+
+test('sign-in pages, blocks and missing listings get their reason', async () => {
+  assert.equal(await reasonOf(page('https://login.alibaba.com/newlogin/icbuLogin.htm')), 'login-required');
+  assert.equal(await reasonOf(page(PRODUCT_URL, { login: true })), 'login-required');
+  assert.equal(await reasonOf(page(PRODUCT_URL), 429), 'blocked');
+  assert.equal(await reasonOf(page(PRODUCT_URL), 404), 'not-found');
+  assert.equal(await reasonOf(page(PRODUCT_URL, { text: 'This product is no longer available.' })), 'not-found');
+});
+
+test('redirects to another site or away from the product are flagged', async () => {
+  assert.equal(await reasonOf(page('https://www.aliexpress.com/')), 'region-redirect');
+  assert.equal(await reasonOf(page('https://www.alibaba.com/')), 'not-found');
+});
+
+test('a page that navigates while being read is judged by URL and status', async () => {
+  const navigating = { url: () => PRODUCT_URL, evaluate: async () => { throw new Error('Execution context was destroyed'); } };
+  assert.equal(await detectPageState(navigating, response(200), PRODUCT_URL, alibaba), null);
+  assert.equal((await detectPageState(navigating, response(403), PRODUCT_URL, alibaba)).reason, 'blocked');
+});
+
+test('thrown errors map to reasons, and only some are retried', () => {
+  assert.equal(failureReason(new PageStateError('captcha', 'Captcha page served')), 'captcha');
+  assert.equal(failureReason(Object.assign(new Error('page.goto: Timeout 30000ms exceeded'), { name: 'TimeoutError' })), 'timeout');
+  assert.equal(failureReason(new Error('net::ERR_PROXY_CONNECTION_FAILED at https://www.alibaba.com/')), 'network');
+  assert.equal(failureReason(new Error('Something else')), 'error');
+  assert.equal(isRecoverable('captcha'), true);
+  assert.equal(isRecoverable('not-found'), false);
+  assert.equal(isRecoverable('no-images'), false);
+});
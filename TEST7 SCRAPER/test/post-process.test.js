@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ImagePostProcessor } from '../post-process.js';
+
+// sharp is an optional dependency
+const sharp = await import('sharp').then(module => module.default).catch(() => null);
+
+// A 300x100 red picture in a 50px white border
+async function writeOriginal(filePath) {
+  const picture = await sharp({ create: { width: 300, height: 100, channels: 3, background: '#ff0000' } }).png().toBuffer();
+  await sharp({ create: { width: 400, height: 200, channels: 3, background: '#ffffff' } })
+    .composite([{ input: picture, left: 50, top: 50 }])
+    .png()
+    .toFile(filePath);
+}
+
+function dimensions(result) {
+  return [[result.width, result.height], ...result.thumbnails.map(thumbnail => [thumbnail.width, thumbnail.height])];
+}
+
+test('derived files are rendered again when the settings change', { skip: !sharp && 'sharp is not installed' }, async () => {
+  const productDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-post-process-'));
+  try {
+    const original = path.join(productDir, 'Product_0.png');
+    await writeOriginal(original);
+
+    const [first] = await new ImagePostProcessor({ thumbnails: [100] }).processAll(productDir, [original]);
+    assert.deepEqual(dimensions(first), [[400, 200], [100, 50]]);
+    const { mtimeMs } = await fs.stat(path.join(productDir, first.path));
+
+    // Same settings: the files of the first run are kept
+    const [again] = await new ImagePostProcessor({ thumbnails: [100] }).processAll(productDir, [original]);
+    assert.deepEqual(dimensions(again), [[400, 200], [100, 50]]);
+    assert.equal((await fs.stat(path.join(productDir, again.path))).mtimeMs, mtimeMs);
+
+    const [trimmed] = await new ImagePostProcessor({ thumbnails: [100], trim: true }).processAll(productDir, [original]);
+    assert.deepEqual(dimensions(trimmed), [[300, 100], [100, 33]]);
+
+    const [capped] = await new ImagePostProcessor({ thumbnails: [100], trim: true, maxWidth: 150 }).processAll(productDir, [original]);
+    assert.deepEqual(dimensions(capped), [[150, 50], [100, 33]]);
+    assert.equal((await fs.readJson(path.join(productDir, 'processed', '.settings.json'))).maxWidth, 150);
+  } finally {
+    await fs.remove(productDir);
+  }
+});
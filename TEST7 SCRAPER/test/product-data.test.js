@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProductDataExtractor, parseJsonLike, extractFromData } from '../product-data.js';
+import { getAdapterByName } from '../site-adapters.js';
+
+// Trimmed from an Alibaba product detail response
+const DETAIL = {
+  data: {
+    productBasic: { subject: 'Ergonomic Office Chair ', unit: 'pieces' },
+    productTradeInfo: {
+      moq: '2',
+      currency: 'USD',
+      ladderPrice: [
+        { min: 2, max: 99, price: '45.50' },
+        { min: 100, max: -1, dollarPrice: 'US$39.90' },
+        { min: 500, max: -1 },
+      ],
+    },
+    supplier: { companyName: 'Foshan Chair Co., Ltd.', supplierYear: '8 yrs', companyRegion: 'CN' },
+    productBasicProperties: [{ attrName: 'Material', attrValue: 'Mesh' }, { attrName: 'Color', attrValue: ['Black', 'Grey'] }],
+    productOtherProperties: [{ attrName: 'material', attrValue: 'Nylon' }, { attrName: 'Warranty', attrValue: '' }],
+    breadcrumbs: [{ name: 'Furniture', url: '/furniture' }, { name: 'Office Chairs' }],
+  },
+};
+
+test('JSON and JSONP bodies are parsed, anything else is null', () => {
+  assert.deepEqual(parseJsonLike('{"a":1}'), { a: 1 });
+  assert.deepEqual(parseJsonLike('mtopjsonp3({"data":{"a":1}});'), { data: { a: 1 } });
+  assert.equal(parseJsonLike('<html></html>'), null);
+  assert.deepEqual(parseJsonLike({ a: 1 }), { a: 1 });
+});
+
+test('product fields are found anywhere in the document and normalised', () => {
+  assert.deepEqual(extractFromData(DETAIL), {
+    title: 'Ergonomic Office Chair',
+    moq: 2,
+    unit: 'pieces',
+    priceTiers: [
+      { minQuantity: 2, maxQuantity: 99, price: 45.5, currency: 'USD' },
+      { minQuantity: 100, maxQuantity: null, price: 39.9, currency: 'USD' },
+    ],
+    supplier: { name: 'Foshan Chair Co., Ltd.', years: 8, location: 'CN' },
+    // The first list wins for a name given twice; empty values are skipped
+    attributes: [{ name: 'Material', value: 'Mesh' }, { name: 'Color', value: 'Black, Grey' }],
+    categories: [{ name: 'Furniture', url: '/furniture' }, { name: 'Office Chairs', url: null }],
+  });
+});
+
+test('later responses and the page only fill what is still missing', async () => {
+  const extractor = new ProductDataExtractor(getAdapterByName('aliexpress'));
+  assert.equal(extractor.addResponse('https://www.aliexpress.com/item/1005001234567890.html', '{}'), false);
+  assert.equal(extractor.addResponse('https://acs.aliexpress.com/h5/mtop.aliexpress.pdp.pc.query/1.0/', 'mtopjsonp1({"title":"Desk lamp"})'), true);
+  extractor.addResponse('https://acs.aliexpress.com/h5/mtop.aliexpress.pdp.pc.query/1.0/', { title: 'Other title', storeName: 'Lamp Store' });
+
+  const page = {
+    evaluate: async () => ({
+      embeddedData: { countryCompleteName: 'China' },
+      dom: { title: 'Desk lamp | AliExpress', priceTiers: [], moq: 1, unit: null, supplier: { name: null, years: null, location: null }, attributes: [], categories: [] },
+    }),
+  };
+  const data = await extractor.extract(page);
+
+  assert.equal(data.title, 'Desk lamp');
+  assert.deepEqual(data.supplier, { name: 'Lamp Store', years: null, location: 'China' });
+  assert.equal(data.moq, 1);
+});
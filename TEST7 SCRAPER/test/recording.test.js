@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { chromium } from 'playwright';
+import { AlibabaImageScraper, logger } from '../scraper.js';
+import { SessionRecorder, SessionReplayer } from '../recording.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+// A product page with two gallery images, recorded as --record writes it
+const RECORDINGS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'recordings');
+const PRODUCT_URL = 'https://www.alibaba.com/product-detail/Replay-Test-Chair_1600000000001.html';
+const IMAGE_URL = 'https://s.alicdn.com/@sc04/kf/Hreplay1.png';
+
+const hasBrowser = fs.existsSync(chromium.executablePath());
+
+// Record a session of these entries, then load it for replay
+async function withSession(entries, fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-recording-'));
+  try {
+    const recorder = new SessionRecorder(dir);
+    await recorder.begin(PRODUCT_URL, '1600000000001');
+    recorder.entries.push(...entries);
+    await recorder.save();
+
+    const replayer = new SessionReplayer(dir);
+    assert.equal(await replayer.begin(PRODUCT_URL, '1600000000001'), true);
+    await fn(replayer);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+function entry(url, status = 200) {
+  return { source: 'page', method: 'GET', url, status, headers: {}, body: null };
+}
+
+test('requests differing in the query string get the recording sharing the most parameters', async () => {
+  const api = 'https://www.alibaba.com/event/app/productDetail/get.htm';
+  await withSession([
+    entry(`${api}?productId=1600000000001&lang=en&t=1`, 301),
+    entry(`${api}?productId=1600000000001&lang=de&t=1`, 302),
+    entry(`${api}?productId=1700000000002&lang=en&t=1`, 303),
+  ], async (replayer) => {
+    assert.equal(replayer.find('GET', `${api}?productId=1600000000001&lang=en&t=1`).status, 301);
+    assert.equal(replayer.find('GET', `${api}?productId=1600000000001&lang=de&t=2`).status, 302);
+    assert.equal(replayer.find('GET', `${api}?lang=en&productId=1700000000002&t=9`).status, 303);
+    // Another path, host or method is never a match
+    assert.equal(replayer.find('GET', 'https://www.alibaba.com/event/app/productDetail/other.htm?productId=1600000000001'), null);
+    assert.equal(replayer.find('GET', 'https://m.alibaba.com/event/app/productDetail/get.htm?productId=1600000000001'), null);
+    assert.equal(replayer.find('POST', `${api}?productId=1600000000001&lang=en&t=1`), null);
+  });
+});
+
+test('responses to one URL are served in recorded order, the last one repeating', async () => {
+  const api = 'https://www.alibaba.com/api/stock';
+  await withSession([entry(api, 503), entry(api, 200)], async (replayer) => {
+    assert.deepEqual([1, 2, 3].map(() => replayer.find('GET', api).status), [503, 200, 200]);
+  });
+});
+
+test('the downloader transport serves recorded bodies and 404 for the rest', async () => {
+  const replayer = new SessionReplayer(RECORDINGS);
+  assert.equal(await replayer.begin(PRODUCT_URL, '1600000000001'), true);
+  const transport = replayer.transport();
+
+  const image = await transport.get(`${IMAGE_URL}?t=1760000000`);
+  assert.equal(image.status(), 200);
+  assert.equal(image.headers()['content-type'], 'image/png');
+  assert.deepEqual((await image.body()).subarray(1, 4), Buffer.from('PNG'));
+
+  const missing = await transport.get(`${IMAGE_URL}_960x960q80.jpg`);
+  assert.equal(missing.status(), 404);
+  assert.deepEqual(replayer.misses, [`${IMAGE_URL}_960x960q80.jpg`]);
+});
+
+test('a product is scraped offline from its recording', { skip: !hasBrowser && 'Chromium is not installed', timeout: 120000 }, async () => {
+  const downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-replay-'));
+  const scraper = new AlibabaImageScraper({
+    downloadDir,
+    logFile: null,
+    logLevel: 'silent',
+    headless: true,
+    networkMode: 'replay',
+    recordingsDir: RECORDINGS,
+  });
+  try {
+    await scraper.initialize();
+    const result = await scraper.scrapeProductPage(PRODUCT_URL);
+
+    assert.equal(result.success, true);
+    assert.equal(result.productId, '1600000000001');
+    assert.equal(result.productName, 'Replay Test Chair');
+    assert.equal(result.images.length, 2);
+    const manifest = await fs.readJson(path.join(downloadDir, '1600000000001', 'manifest.json'));
+    assert.deepEqual(manifest.images.map(image => image.url), [IMAGE_URL, 'https://s.alicdn.com/@sc04/kf/Hreplay2.png']);
+  } finally {
+    await scraper.close();
+    await fs.remove(downloadDir);
+  }
+});
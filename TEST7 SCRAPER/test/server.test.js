@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { AlibabaImageScraper, logger } from '../scraper.js';
+import { ScrapeServer } from '../server.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+// A scraper whose product pages are "scraped" by writing a folder with a
+// manifest and one image, as scrapeProductPage does. The results carry no
+// URL: the server must file them under the URL it submitted.
+async function fakeScraper(downloadDir) {
+  const scraper = new AlibabaImageScraper({ downloadDir, logFile: null, logLevel: 'silent' });
+  scraper.workers.push({ id: 0, reset() {} });
+  scraper.scrapeProductPage = async (url) => {
+    const productId = /_(\d+)\.html/.exec(url)[1];
+    const productDir = path.join(downloadDir, productId);
+    await fs.outputFile(path.join(productDir, 'Product_0.jpg'), 'image');
+    await fs.writeJson(path.join(productDir, 'manifest.json'), { productUrl: url, productId });
+    return {
+      success: true,
+      reason: null,
+      productId,
+      productName: `Product ${productId}`,
+      images: [path.join(productDir, 'Product_0.jpg')],
+      totalFound: 1,
+      manifest: path.join(productDir, 'manifest.json'),
+    };
+  };
+  return scraper;
+}
+
+test('every product of a job is reported done with its files', { timeout: 60000 }, async () => {
+  const downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-server-'));
+  const server = new ScrapeServer(await fakeScraper(downloadDir), { port: 0 });
+  const base = await server.start();
+  try {
+    const urls = [
+      'https://www.alibaba.com/product-detail/Chair_1600000000001.html',
+      'https://www.alibaba.com/product-detail/Table_1600000000002.html',
+    ];
+    const submitted = await fetch(`${base}/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ urls }),
+    });
+    assert.equal(submitted.status, 202);
+    const { id } = await submitted.json();
+
+    await server.idle;
+    const job = await (await fetch(`${base}/jobs/${id}`)).json();
+    assert.equal(job.status, 'done');
+    assert.deepEqual(job.progress, { total: 2, finished: 2, successful: 2, failed: 0, cancelled: 0 });
+    assert.deepEqual(job.products.map(product => [product.url, product.status, product.folder]), [
+      [urls[0], 'done', '1600000000001'],
+      [urls[1], 'done', '1600000000002'],
+    ]);
+
+    const files = await (await fetch(`${base}/jobs/${id}/files`)).json();
+    assert.deepEqual(files.map(file => file.path), [
+      '1600000000001/Product_0.jpg',
+      '1600000000001/manifest.json',
+      '1600000000002/Product_0.jpg',
+      '1600000000002/manifest.json',
+    ]);
+  } finally {
+    await server.stop();
+    await fs.remove(downloadDir);
+  }
+});
+
+test('a malformed escape in the path is a bad request', async () => {
+  const downloadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-server-'));
+  const server = new ScrapeServer(new AlibabaImageScraper({ downloadDir, logFile: null, logLevel: 'silent' }), { port: 0 });
+  const base = await server.start();
+  try {
+    const response = await fetch(`${base}/jobs/1/files/%E0`);
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Malformed URL' });
+  } finally {
+    await server.stop();
+    await fs.remove(downloadDir);
+  }
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAdapter, getAdapterByName } from '../site-adapters.js';
+
+const alibaba = getAdapterByName('alibaba');
+const ali1688 = getAdapterByName('1688');
+const aliexpress = getAdapterByName('aliexpress');
+
+test('product URLs pick their site adapter, Alibaba being the fallback', () => {
+  assert.equal(getAdapter('https://detail.1688.com/offer/612345678901.html'), ali1688);
+  assert.equal(getAdapter('https://www.aliexpress.us/item/1005001234567890.html'), aliexpress);
+  assert.equal(getAdapter('https://m.alibaba.com/product/1600000000001/Chair.html'), alibaba);
+  assert.equal(getAdapter('https://www.example.com/item/1.html'), alibaba);
+  assert.equal(getAdapterByName('amazon'), null);
+});
+
+test('product IDs are read from each site\'s URL shapes', () => {
+  assert.equal(alibaba.parseProductId('https://www.alibaba.com/product-detail/Office-Chair_1600000000001.html?spm=a2700'), '1600000000001');
+  assert.equal(alibaba.parseProductId('https://m.alibaba.com/product/1600000000002.html'), '1600000000002');
+  assert.equal(alibaba.parseProductId('https://www.alibaba.com/event/app/productDetail/get.htm?productId=1600000000003'), '1600000000003');
+  assert.equal(ali1688.parseProductId('https://detail.1688.com/offer/612345678901.html?spm=a26352'), '612345678901');
+  assert.equal(ali1688.parseProductId('https://h5api.m.1688.com/h5/mtop.1688/1.0/?offerId=612345678902'), '612345678902');
+  assert.equal(aliexpress.parseProductId('https://www.aliexpress.com/item/1005001234567890.html'), '1005001234567890');
+  assert.equal(aliexpress.parseProductId('https://www.aliexpress.com/item/Chair/1005001234567891.html'), '1005001234567891');
+  assert.equal(aliexpress.parseProductId('https://www.aliexpress.com/'), null);
+  assert.equal(alibaba.parseProductId(null), null);
+});
+
+test('rendition URLs are rewritten to the original upload', () => {
+  for (const url of [
+    'https://s.alicdn.com/@sc04/kf/H1234.png_960x960q80.jpg',
+    'https://s.alicdn.com/@sc04/kf/H1234.png_.webp',
+    'https://s.alicdn.com/@sc04/kf/H1234.png?width=800',
+  ]) {
+    assert.equal(alibaba.normalizeImageUrl(url), 'https://s.alicdn.com/@sc04/kf/H1234.png');
+  }
+  assert.equal(alibaba.normalizeImageUrl('https://s.alicdn.com/@sc04/kf/H1234_220x220q80.jpg'), 'https://s.alicdn.com/@sc04/kf/H1234.jpg');
+  // Only the Alibaba CDN is rewritten
+  assert.equal(alibaba.normalizeImageUrl('https://cdn.example.com/a_50x50.jpg'), 'https://cdn.example.com/a_50x50.jpg');
+
+  for (const url of [
+    'https://cbu01.alicdn.com/img/ibank/O1CN01abc.jpg_460x460q100.jpg_.webp',
+    'https://cbu01.alicdn.com/img/ibank/O1CN01abc.310x310.jpg',
+    'https://cbu01.alicdn.com/img/ibank/O1CN01abc.search.jpg',
+  ]) {
+    assert.equal(ali1688.normalizeImageUrl(url), 'https://cbu01.alicdn.com/img/ibank/O1CN01abc.jpg');
+  }
+
+  assert.equal(aliexpress.normalizeImageUrl('https://ae01.alicdn.com/kf/S0123.jpg_640x640q75.jpg_.avif'), 'https://ae01.alicdn.com/kf/S0123.jpg');
+  assert.equal(aliexpress.normalizeImageUrl('https://ae-pic-a1.aliexpress-media.com/kf/S0123.png_.webp?v=2'), 'https://ae-pic-a1.aliexpress-media.com/kf/S0123.png?v=2');
+});
+
+test('the original upload is tried first, then the large Alibaba sizes', () => {
+  assert.deepEqual(alibaba.renditionCandidates('https://s.alicdn.com/@sc04/kf/H1234.png_220x220.jpg'), [
+    'https://s.alicdn.com/@sc04/kf/H1234.png',
+    'https://s.alicdn.com/@sc04/kf/H1234.png_1600x1600q80.jpg',
+    'https://s.alicdn.com/@sc04/kf/H1234.png_1200x1200q80.jpg',
+    'https://s.alicdn.com/@sc04/kf/H1234.png_960x960q80.jpg',
+  ]);
+  assert.deepEqual(ali1688.renditionCandidates('https://cbu01.alicdn.com/img/ibank/O1CN01abc.310x310.jpg'), [
+    'https://cbu01.alicdn.com/img/ibank/O1CN01abc.jpg',
+  ]);
+});
+
+test('listing links become canonical product URLs and pages are numbered per site', () => {
+  assert.equal(
+    alibaba.productUrl('/product-detail/Chair_1600000000001.html?spm=a2700#reviews', 'https://www.alibaba.com/trade/search?SearchText=chair'),
+    'https://www.alibaba.com/product-detail/Chair_1600000000001.html',
+  );
+  assert.equal(alibaba.productUrl('https://www.alibaba.com/showroom/chair.html'), null);
+  assert.equal(alibaba.productUrl('https://detail.1688.com/offer/612345678901.html'), null);
+
+  assert.equal(alibaba.listingPageUrl('https://www.alibaba.com/trade/search?SearchText=chair', 3), 'https://www.alibaba.com/trade/search?SearchText=chair&page=3');
+  assert.equal(ali1688.listingPageUrl('https://s.1688.com/selloffer/offer_search.htm?keywords=chair', 2), 'https://s.1688.com/selloffer/offer_search.htm?keywords=chair&beginPage=2');
+  assert.equal(aliexpress.listingPageUrl('https://www.aliexpress.com/item/1005001234567890.html', 2), null);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SkuExtractor, extractSkuVariants, variantLabel } from '../sku.js';
+
+const SKU_JSON = {
+  data: {
+    skuInfo: {
+      skuAttrs: [
+        { name: 'Color', values: [{ name: 'Red', image: '//s.alicdn.com/@sc04/kf/Hred.jpg' }, { name: 'Blue ', imageUrl: 'https://s.alicdn.com/@sc04/kf/Hblue.jpg' }] },
+        { attrName: 'Size', attrValues: [{ valueName: 'XL' }, { valueName: '' }] },
+        { name: 'Broken' },
+      ],
+    },
+  },
+};
+
+test('every SKU property value becomes a variant with its option image', () => {
+  assert.deepEqual(extractSkuVariants(SKU_JSON), [
+    { properties: { Color: 'Red' }, images: ['https://s.alicdn.com/@sc04/kf/Hred.jpg'] },
+    { properties: { Color: 'Blue' }, images: ['https://s.alicdn.com/@sc04/kf/Hblue.jpg'] },
+    { properties: { Size: 'XL' }, images: [] },
+  ]);
+  assert.deepEqual(extractSkuVariants({ data: { title: 'No SKUs' } }), []);
+  assert.equal(variantLabel({ Color: 'Red', Size: 'XL' }), 'Color=Red,Size=XL');
+});
+
+test('options read from the page are merged into the variants from the JSON', async () => {
+  const extractor = new SkuExtractor();
+  assert.equal(extractor.addResponse('https://www.alibaba.com/api/detail', '{"data":{"title":"Chair"}}'), false);
+  assert.equal(extractor.addResponse('https://www.alibaba.com/api/sku', JSON.stringify(SKU_JSON)), true);
+
+  const page = {
+    evaluate: async () => [
+      { groupIndex: 0, name: 'Color', items: [{ itemIndex: 0, value: 'Red', image: '//s.alicdn.com/@sc04/kf/Hred-thumb.jpg' }, { itemIndex: 1, value: 'Green', image: null }] },
+    ],
+  };
+  const variants = await extractor.extract(page);
+
+  assert.deepEqual(variants.map(variant => [variant.label, variant.images]), [
+    ['Color=Red', ['https://s.alicdn.com/@sc04/kf/Hred.jpg', 'https://s.alicdn.com/@sc04/kf/Hred-thumb.jpg']],
+    ['Color=Blue', ['https://s.alicdn.com/@sc04/kf/Hblue.jpg']],
+    ['Size=XL', []],
+    ['Color=Green', []],
+  ]);
+});
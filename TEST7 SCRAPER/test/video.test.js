@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { ImageDownloader, logger } from '../scraper.js';
+import { VideoDownloader, parsePlaylist } from '../video.js';
+
+logger.configure({ logLevel: 'silent', logFile: null });
+
+const VIDEO = Buffer.from('not really an mp4, but 40 bytes of video');
+
+// Stands in for a browser context's APIRequestContext, serving VIDEO and
+// honouring Range requests; every request is recorded in `calls`
+function videoRequest() {
+  const calls = [];
+  return {
+    calls,
+    get: async (url, { headers }) => {
+      calls.push({ url, range: headers.Range || null });
+      const start = headers.Range ? Number(/bytes=(\d+)-/.exec(headers.Range)[1]) : 0;
+      const responseHeaders = { 'content-type': 'video/mp4', 'content-length': String(VIDEO.length - start) };
+      if (start > 0) responseHeaders['content-range'] = `bytes ${start}-${VIDEO.length - 1}/${VIDEO.length}`;
+      return { status: () => (start > 0 ? 206 : 200), headers: () => responseHeaders, body: async () => VIDEO.subarray(start) };
+    },
+  };
+}
+
+async function withVideoDownloader(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'scraper-video-'));
+  try {
+    const downloader = new ImageDownloader(dir);
+    await fn(new VideoDownloader(downloader), downloader, dir);
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+test('a partial video is resumed from its own URL only', async () => {
+  await withVideoDownloader(async (videos, downloader, dir) => {
+    const filePath = path.join(dir, 'Chair_video_0.mp4');
+    const hd = 'https://cloud.video.alibaba.com/play/u/1/hd.mp4';
+    const sd = 'https://cloud.video.alibaba.com/play/u/1/sd.mp4';
+
+    // The last run was cut off in the HD rendition; this one picked SD
+    await fs.writeFile(downloader.partPathFor(filePath, hd), VIDEO.subarray(0, 10));
+    const request = videoRequest();
+    await videos.downloadFile(sd, filePath, request);
+    assert.deepEqual(request.calls, [{ url: sd, range: null }]);
+    assert.deepEqual(await fs.readFile(filePath), VIDEO);
+    assert.deepEqual(await fs.readdir(dir), ['Chair_video_0.mp4']);
+
+    // Cut off in the rendition it is now fetching: resumed
+    const again = path.join(dir, 'Chair_video_1.mp4');
+    await fs.writeFile(downloader.partPathFor(again, sd), VIDEO.subarray(0, 10));
+    const resumed = videoRequest();
+    await videos.downloadFile(sd, again, resumed);
+    assert.deepEqual(resumed.calls, [{ url: sd, range: 'bytes=10-' }]);
+    assert.deepEqual(await fs.readFile(again), VIDEO);
+  });
+});
+
+test('master playlists list their variants, resolved against the playlist URL', () => {
+  const playlist = parsePlaylist([
+    '#EXTM3U',
+    '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2"',
+    '360p/index.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2400000,RESOLUTION=1280x720',
+    'https://video.alicdn.com/720p/index.m3u8',
+  ].join('\r\n'), 'https://cloud.video.alibaba.com/play/u/1/master.m3u8?auth=x');
+
+  assert.deepEqual(playlist.variants, [
+    { bandwidth: 800000, width: 640, height: 360, url: 'https://cloud.video.alibaba.com/play/u/1/360p/index.m3u8' },
+    { bandwidth: 2400000, width: 1280, height: 720, url: 'https://video.alicdn.com/720p/index.m3u8' },
+  ]);
+  assert.deepEqual(playlist.segments, []);
+});
+
+test('media playlists number their segments and carry the key in force', () => {
+  const playlist = parsePlaylist([
+    '#EXTM3U',
+    '#EXT-X-MEDIA-SEQUENCE:7',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:4.0,',
+    'seg7.m4s',
+    '#EXT-X-KEY:METHOD=AES-128,URI="/keys/1",IV=0x0000000000000000000000000000000a',
+    '#EXTINF:4.0,',
+    'seg8.m4s',
+    '#EXT-X-KEY:METHOD=NONE',
+    '#EXTINF:2.5,',
+    'seg9.m4s',
+    '#EXT-X-ENDLIST',
+  ].join('\n'), 'https://video.alicdn.com/v/1/index.m3u8');
+
+  const key = { method: 'AES-128', uri: 'https://video.alicdn.com/keys/1', iv: '0x0000000000000000000000000000000a' };
+  assert.equal(playlist.map, 'https://video.alicdn.com/v/1/init.mp4');
+  assert.deepEqual(playlist.segments, [
+    { url: 'https://video.alicdn.com/v/1/seg7.m4s', sequence: 7, key: null },
+    { url: 'https://video.alicdn.com/v/1/seg8.m4s', sequence: 8, key },
+    { url: 'https://video.alicdn.com/v/1/seg9.m4s', sequence: 9, key: null },
+  ]);
+  assert.throws(() => parsePlaylist('<html></html>', 'https://video.alicdn.com/'), /Not an HLS playlist/);
+});
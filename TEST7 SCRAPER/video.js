@@ -0,0 +1,358 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { parseJsonLike } from './product-data.js';
+
+// Product video capture: finds mp4 / HLS (m3u8) URLs in responses, media
+// requests and the DOM, picks the best rendition and downloads it.
+
+const VIDEO_URL_PATTERN = /https?:\/\/[^"'\s<>\\]+?\.(?:mp4|m3u8)(?:\?[^"'\s<>\\]*)?/gi;
+const POSTER_KEYS = ['poster', 'posterUrl', 'coverUrl', 'videoCover', 'coverImage', 'videoPoster', 'cover', 'coverImg'];
+const MAX_DEPTH = 12;
+
+const VIDEO_FETCH_OPTIONS = {
+  accept: 'video/mp4,video/*;q=0.9,*/*;q=0.8',
+  maxContentLength: 500 * 1024 * 1024, // 500MB max video size
+};
+
+function isVideoUrl(url) {
+  return typeof url === 'string' && /^(?:https?:)?\/\/[^\s]+\.(?:mp4|m3u8)(?:\?|$)/i.test(url.trim());
+}
+
+function isHlsUrl(url) {
+  return /\.m3u8(?:\?|$)/i.test(url);
+}
+
+function absoluteUrl(url) {
+  const trimmed = url.trim();
+  return trimmed.startsWith('//') ? `https:${trimmed}` : trimmed;
+}
+
+// Higher is better. Uses explicit resolutions ("720p") or quality words
+// ("hd", "sd", "ld") from the URL and the JSON key it was found under.
+function qualityScore(url, hint = '') {
+  const text = `${hint} ${url}`.toLowerCase();
+
+  const resolution = text.match(/(\d{3,4})p\b/);
+  if (resolution) return parseInt(resolution[1], 10);
+
+  if (/\b(?:uhd|4k)\b|[_/]uhd/.test(text)) return 2160;
+  if (/\bfhd\b|[_/]fhd|1080/.test(text)) return 1080;
+  if (/\bhd\b|[_/]hd[_./]|hdurl/.test(text)) return 720;
+  if (/\bsd\b|[_/]sd[_./]|sdurl/.test(text)) return 480;
+  if (/\bld\b|[_/]ld[_./]|ldurl/.test(text)) return 360;
+  return 0;
+}
+
+// Same video regardless of query string (signed URLs change per request)
+function urlKey(url) {
+  return url.split('?')[0];
+}
+
+// Runs in the browser: <video> sources and posters on the page
+function readVideoDom() {
+  const videos = [];
+  document.querySelectorAll('video').forEach((video) => {
+    const sources = [video.currentSrc, video.src, ...Array.from(video.querySelectorAll('source')).map(source => source.src)]
+      .filter(src => src && !src.startsWith('blob:'));
+    videos.push({ sources, poster: video.poster || null });
+  });
+  return videos;
+}
+
+/**
+ * Parse an HLS playlist.
+ * Master playlists yield `variants`, media playlists yield `segments`.
+ */
+function parsePlaylist(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') throw new Error('Not an HLS playlist');
+
+  const resolve = uri => new URL(uri, baseUrl).href;
+  const attributes = (line) => {
+    const result = {};
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+      result[match[1]] = match[2].replace(/^"|"$/g, '');
+    }
+    return result;
+  };
+
+  const playlist = { variants: [], segments: [], map: null };
+  let mediaSequence = 0;
+  let key = null;
+  let pendingVariant = null;
+
+  for (const line of lines) {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      const attrs = attributes(line.slice('#EXT-X-STREAM-INF:'.length));
+      const [width, height] = (attrs.RESOLUTION || '').split('x').map(Number);
+      pendingVariant = { bandwidth: Number(attrs.BANDWIDTH) || 0, height: height || 0, width: width || 0 };
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      mediaSequence = parseInt(line.split(':')[1], 10) || 0;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attrs = attributes(line.slice('#EXT-X-KEY:'.length));
+      key = attrs.METHOD === 'NONE' ? null : { method: attrs.METHOD, uri: attrs.URI ? resolve(attrs.URI) : null, iv: attrs.IV || null };
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attrs = attributes(line.slice('#EXT-X-MAP:'.length));
+      if (attrs.URI) playlist.map = resolve(attrs.URI);
+    } else if (!line.startsWith('#')) {
+      if (pendingVariant) {
+        playlist.variants.push({ ...pendingVariant, url: resolve(line) });
+        pendingVariant = null;
+      } else {
+        playlist.segments.push({ url: resolve(line), sequence: mediaSequence + playlist.segments.length, key });
+      }
+    }
+  }
+
+  return playlist;
+}
+
+// Collects video candidates for one product. Renditions found together in
+// one JSON object (e.g. { hd: ..., sd: ... }) are treated as one video.
+class VideoExtractor {
+  constructor() {
+    this.groups = new Map(); // group key -> { candidates: Map(url key -> candidate), poster, source }
+    this.urlGroups = new Map(); // url key -> group key
+  }
+
+  addCandidate(groupKey, url, { hint = '', poster = null, source = null } = {}) {
+    const absolute = absoluteUrl(url);
+    const key = urlKey(absolute);
+
+    // A URL already known as part of a rendition group stays there
+    const existingGroup = this.urlGroups.get(key);
+    if (existingGroup && existingGroup !== groupKey) {
+      const group = this.groups.get(existingGroup);
+      if (poster && !group.poster) group.poster = absoluteUrl(poster);
+      return;
+    }
+
+    if (!this.groups.has(groupKey)) {
+      this.groups.set(groupKey, { candidates: new Map(), poster: null, source });
+    }
+    const group = this.groups.get(groupKey);
+    if (poster && !group.poster) group.poster = absoluteUrl(poster);
+    if (!group.candidates.has(key)) {
+      group.candidates.set(key, { url: absolute, quality: qualityScore(absolute, hint), type: isHlsUrl(absolute) ? 'hls' : 'mp4' });
+    }
+    this.urlGroups.set(key, groupKey);
+  }
+
+  // Walk parsed JSON; every object holding video URLs becomes one group.
+  // A poster next to a nested rendition object ({ videoUrl: {...}, poster }) applies to it.
+  collectFromData(data, sourceUrl, depth = 0, parentPoster = null) {
+    if (!data || typeof data !== 'object' || depth > MAX_DEPTH) return;
+
+    let poster = parentPoster;
+    if (!Array.isArray(data)) {
+      const posterKey = POSTER_KEYS.find(key => typeof data[key] === 'string' && data[key].trim());
+      if (posterKey) poster = data[posterKey];
+
+      const videos = Object.entries(data).filter(([, value]) => isVideoUrl(value));
+      if (videos.length > 0) {
+        const groupKey = videos.map(([, value]) => urlKey(absoluteUrl(value))).sort().join('|');
+        for (const [key, value] of videos) {
+          this.addCandidate(groupKey, value, { hint: key, poster, source: sourceUrl });
+        }
+      }
+    }
+
+    for (const value of Object.values(data)) {
+      if (value && typeof value === 'object') this.collectFromData(value, sourceUrl, depth + 1, Array.isArray(data) ? null : poster);
+    }
+  }
+
+  // Accepts parsed JSON or a raw body (HTML, JSONP, text)
+  addResponse(url, body) {
+    const data = parseJsonLike(body);
+    if (data && typeof data === 'object') {
+      this.collectFromData(data, url);
+    }
+
+    // Loose URLs in text bodies, including JSON-escaped ones
+    const text = (typeof body === 'string' ? body : JSON.stringify(body))
+      .replace(/\\u002F/gi, '/')
+      .replace(/\\\//g, '/');
+    for (const match of text.match(VIDEO_URL_PATTERN) || []) {
+      if (!this.urlGroups.has(urlKey(match))) {
+        this.addCandidate(urlKey(match), match, { source: url });
+      }
+    }
+  }
+
+  // A media request made by the page itself (mp4 file or HLS playlist)
+  addMediaRequest(url) {
+    if (!isVideoUrl(url)) return false;
+    if (!this.urlGroups.has(urlKey(url))) {
+      this.addCandidate(urlKey(url), url, { source: 'media-request' });
+    }
+    return true;
+  }
+
+  async addFromPage(page) {
+    const videos = await page.evaluate(readVideoDom);
+    for (const video of videos) {
+      const sources = video.sources.filter(isVideoUrl);
+      if (sources.length === 0) continue;
+      const groupKey = sources.map(urlKey).sort().join('|');
+      for (const src of sources) {
+        this.addCandidate(groupKey, src, { poster: video.poster, source: 'dom' });
+      }
+    }
+  }
+
+  /**
+   * One entry per video: the best rendition plus the other candidates.
+   * @returns {Array<{ url, type, quality, poster, source, renditions }>}
+   */
+  getVideos() {
+    const videos = [];
+    for (const group of this.groups.values()) {
+      const candidates = Array.from(group.candidates.values())
+        // Prefer higher quality; on ties prefer mp4 (single file) over HLS
+        .sort((a, b) => (b.quality - a.quality) || (a.type === 'mp4' ? -1 : 1));
+      videos.push({
+        ...candidates[0],
+        poster: group.poster,
+        source: group.source,
+        renditions: candidates.map(candidate => candidate.url),
+      });
+    }
+    return videos;
+  }
+
+  clear() {
+    this.groups.clear();
+    this.urlGroups.clear();
+  }
+}
+
+// Downloads videos with an ImageDownloader's transport (proxy, browser context)
+class VideoDownloader {
+  constructor(downloader) {
+    this.downloader = downloader;
+  }
+
+  /**
+   * Download each video (and its poster) into the product folder as
+   * <name>_video_<n>.mp4 / .ts and <name>_video_<n>_poster.jpg.
+   */
+  async downloadAll(videos, productId, productName, { request = null } = {}) {
+    const productDir = this.downloader.getProductDir(productId);
+    await fs.ensureDir(productDir);
+    const baseName = `${productName ? this.downloader.sanitizeFileName(productName) : 'product'}_video`;
+
+    const results = [];
+    for (let i = 0; i < videos.length; i++) {
+      const video = videos[i];
+      const result = { ...video, file: null, posterFile: null, error: null };
+
+      try {
+        result.file = video.type === 'hls'
+          ? await this.downloadHls(video.url, path.join(productDir, `${baseName}_${i}`), request)
+          : await this.downloadFile(video.url, path.join(productDir, `${baseName}_${i}.mp4`), request, VIDEO_FETCH_OPTIONS);
+      } catch (error) {
+        result.error = error.message;
+      }
+
+      if (video.poster) {
+        try {
+          const extension = (video.poster.split('?')[0].match(/\.(jpg|jpeg|png|webp)$/i) || ['.jpg'])[0];
+          result.posterFile = await this.downloadFile(video.poster, path.join(productDir, `${baseName}_${i}_poster${extension}`), request);
+        } catch (error) {
+          // A missing poster does not fail the video
+        }
+      }
+
+      results.push(result);
+    }
+    return results;
+  }
+
+  // Partial file of `url` for `filePath`, named like the image downloader's,
+  // after removing those of other URLs: an earlier run may have picked
+  // another rendition, whose bytes must never be resumed from this one
+  async partPathFor(filePath, url) {
+    const partPath = this.downloader.partPathFor(filePath, url);
+    const dir = path.dirname(filePath);
+    const prefix = `${path.basename(filePath)}.`;
+    for (const name of await fs.readdir(dir).catch(() => [])) {
+      if (name.startsWith(prefix) && name.endsWith('.part') && path.join(dir, name) !== partPath) {
+        await fs.remove(path.join(dir, name));
+      }
+    }
+    return partPath;
+  }
+
+  async downloadFile(url, filePath, request, fetchOptions = {}) {
+    if (await fs.pathExists(filePath)) return filePath;
+    const partPath = await this.partPathFor(filePath, url);
+    await this.downloader.fetchToPartFile(url, partPath, request, true, fetchOptions);
+    await fs.rename(partPath, filePath);
+    return filePath;
+  }
+
+  // Download an HLS stream: pick the best variant of a master playlist, then
+  // concatenate (and decrypt, for AES-128) its segments into one file.
+  // Returns the path, which ends in .mp4 for fMP4 streams and .ts otherwise.
+  async downloadHls(playlistUrl, basePath, request) {
+    const fetchText = async url => (await this.downloader.fetchBuffer(url, request)).toString('utf8');
+
+    let mediaUrl = playlistUrl;
+    let playlist = parsePlaylist(await fetchText(mediaUrl), mediaUrl);
+    if (playlist.variants.length > 0) {
+      const best = playlist.variants.sort((a, b) => (b.height - a.height) || (b.bandwidth - a.bandwidth))[0];
+      mediaUrl = best.url;
+      playlist = parsePlaylist(await fetchText(mediaUrl), mediaUrl);
+    }
+    if (playlist.segments.length === 0) throw new Error('HLS playlist has no segments');
+
+    const filePath = `${basePath}${playlist.map ? '.mp4' : '.ts'}`;
+    if (await fs.pathExists(filePath)) return filePath;
+
+    const partPath = await this.partPathFor(filePath, mediaUrl);
+    const keys = new Map();
+    const output = fs.createWriteStream(partPath);
+
+    try {
+      if (playlist.map) {
+        await this.write(output, await this.downloader.fetchBuffer(playlist.map, request, VIDEO_FETCH_OPTIONS));
+      }
+
+      for (const segment of playlist.segments) {
+        let data = await this.downloader.fetchBuffer(segment.url, request, VIDEO_FETCH_OPTIONS);
+
+        if (segment.key) {
+          if (segment.key.method !== 'AES-128') throw new Error(`Unsupported HLS encryption: ${segment.key.method}`);
+          if (!keys.has(segment.key.uri)) {
+            keys.set(segment.key.uri, await this.downloader.fetchBuffer(segment.key.uri, request));
+          }
+          // Without an explicit IV, the segment's sequence number is the IV
+          const iv = segment.key.iv
+            ? Buffer.from(segment.key.iv.replace(/^0x/i, '').padStart(32, '0'), 'hex')
+            : Buffer.from(segment.sequence.toString(16).padStart(32, '0'), 'hex');
+          const decipher = crypto.createDecipheriv('aes-128-cbc', keys.get(segment.key.uri), iv);
+          data = Buffer.concat([decipher.update(data), decipher.final()]);
+        }
+
+        await this.write(output, data);
+      }
+    } finally {
+      await new Promise(resolve => output.end(resolve));
+    }
+
+    await fs.rename(partPath, filePath);
+    return filePath;
+  }
+
+  write(stream, data) {
+    return new Promise((resolve, reject) => {
+      stream.write(data, error => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+export { VideoExtractor, VideoDownloader, parsePlaylist, qualityScore, isVideoUrl };
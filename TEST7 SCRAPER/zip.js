@@ -0,0 +1,101 @@
+import fs from 'fs-extra';
+import { once } from 'events';
+
+// Minimal ZIP writer for handing out downloaded images. Entries are stored
+// without compression (images already are compressed), one file in memory at
+// a time. No ZIP64: archives and files must stay below 4 GB.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Write and wait when the stream asks to slow down
+async function write(stream, buffer) {
+  if (!stream.write(buffer)) await once(stream, 'drain');
+}
+
+/**
+ * Write a ZIP archive of `entries` ([{ name, filePath }], names with forward
+ * slashes) to a writable stream. Files that disappeared in the meantime are
+ * left out. Resolves to the number of files written; does not end the stream.
+ */
+async function writeZip(stream, entries) {
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    let data;
+    let stat;
+    try {
+      [data, stat] = await Promise.all([fs.readFile(entry.filePath), fs.stat(entry.filePath)]);
+    } catch (error) {
+      continue;
+    }
+
+    const name = Buffer.from(entry.name, 'utf8');
+    const crc = crc32(data);
+    const { time, date } = dosDateTime(stat.mtime);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);         // version needed
+    local.writeUInt16LE(0x0800, 6);     // UTF-8 names
+    local.writeUInt16LE(0, 8);          // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);        // version made by
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(Buffer.concat([header, name]));
+
+    await write(stream, Buffer.concat([local, name]));
+    await write(stream, data);
+    offset += local.length + name.length + data.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(central.length, 8);
+  end.writeUInt16LE(central.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  await write(stream, directory);
+  await write(stream, end);
+  return central.length;
+}
+
+export { writeZip };